@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// ─── zoom-meter CLI ───────────────────────────────────────────────────────────
+// Headless runs of the dashboard's metric engine (src/lib/core.js) for cron
+// jobs, CI and machines without a browser. Probes a WebSocket echo or HTTP
+// endpoint (see `npm run server`), or the simulator, prints one line per
+// sample, optionally runs a stress test at the end, and writes a session file
+// the dashboard imports like any other export.
+//
+//   npm run cli -- --duration 120 --min-score 70 --out session.json
+//   npx zoom-meter --source http --endpoint 'http://10.0.0.2:8787/download?bytes=1' --json
+//   npx zoom-meter --stress --load-endpoint http://10.0.0.2:8787
+//
+// Only measured samples are scored for a measured source: seconds the
+// simulator filled in don't count, and if there are too many of them the run
+// fails on its own (--min-real).
+//
+// Exit codes: 0 ok, 1 couldn't start the probe, 2 score below --min-score,
+// 3 too few real measurements (below --min-real).
+
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import { PROBE_SOURCES, createProbe } from '../src/probes/index.js';
+import { PollLoop, getHealth, calcScore, averageMetrics, summarizeStress } from '../src/lib/core.js';
+import { BUILT_IN_PROFILES, DEFAULT_PROFILE_ID } from '../src/lib/profiles.js';
+import { LoadGenerator, DEFAULT_LOAD_ENDPOINT } from '../src/lib/load.js';
+import { isSynthetic, realShare, formatShare } from '../src/lib/provenance.js';
+import { summarize } from '../src/lib/stats.js';
+import { sessionToJSON } from '../src/lib/sessionExport.js';
+import { annotation } from '../src/lib/annotations.js';
+
+const INTERVAL         = 1000; // ms between samples, as in the dashboard
+const BASELINE_SAMPLES = 10;   // idle samples kept for the bufferbloat baseline
+
+const USAGE = `Usage: zoom-meter [options]
+
+  --source <id>          ${Object.keys(PROBE_SOURCES).filter((id) => PROBE_SOURCES[id].worker).join(' | ')} (default websocket)
+  --endpoint <url>       probe endpoint (websocket / http)
+  --rate <n>             WebSocket pings per second
+  --scenario <id>        scripted scenario (with --source scenario)
+  --seed <n>             scenario seed
+  --profile <id>         ${BUILT_IN_PROFILES.map((p) => p.id).join(' | ')} (default ${DEFAULT_PROFILE_ID})
+  --duration <s>         seconds to monitor before finishing (default 60)
+  --stress               run a stress test after monitoring
+  --stress-duration <s>  stress test length (default 30)
+  --load-endpoint <url>  test server to saturate during the stress test
+  --json                 print JSON Lines instead of text
+  --min-score <n>        exit 2 if the session or a stress test scores below n
+  --min-real <pct>       exit 3 if fewer than pct % of samples were measured (default 100;
+                         ignored for the simulated sources)
+  --out <file>           write the session as a dashboard-importable JSON file
+  -h, --help             show this help
+`;
+
+const { values: args } = parseArgs({
+  options: {
+    source:            { type: 'string', default: 'websocket' },
+    endpoint:          { type: 'string' },
+    rate:              { type: 'string' },
+    scenario:          { type: 'string' },
+    seed:              { type: 'string' },
+    profile:           { type: 'string', default: DEFAULT_PROFILE_ID },
+    duration:          { type: 'string', default: '60' },
+    stress:            { type: 'boolean', default: false },
+    'stress-duration': { type: 'string', default: '30' },
+    'load-endpoint':   { type: 'string', default: DEFAULT_LOAD_ENDPOINT },
+    json:              { type: 'boolean', default: false },
+    'min-score':       { type: 'string' },
+    'min-real':        { type: 'string', default: '100' },
+    out:               { type: 'string' },
+    help:              { type: 'boolean', short: 'h', default: false },
+  },
+});
+
+function fail(message) {
+  process.stderr.write(`zoom-meter: ${message}\n`);
+  process.exit(1);
+}
+
+if (args.help) {
+  process.stdout.write(USAGE);
+  process.exit(0);
+}
+
+const source = args.source;
+if (!PROBE_SOURCES[source]?.worker) fail(`source must be one of the non-WebRTC sources, got "${source}"`);
+const profile = BUILT_IN_PROFILES.find((p) => p.id === args.profile);
+if (!profile) fail(`unknown profile "${args.profile}"`);
+const duration = Number(args.duration);
+const stressDuration = Number(args['stress-duration']);
+const minScore = args['min-score'] != null ? Number(args['min-score']) : null;
+const minReal = Number(args['min-real']);
+if (!(duration >= 0) || !(stressDuration > 0) || (minScore != null && !Number.isFinite(minScore)) || !(minReal >= 0 && minReal <= 100)) {
+  fail('--duration, --stress-duration, --min-score and --min-real take numbers');
+}
+
+// Node 20 has fetch but no WebSocket client
+if (typeof globalThis.WebSocket === 'undefined') {
+  globalThis.WebSocket = (await import('ws')).WebSocket;
+}
+
+const probeOptions = {};
+if (args.endpoint) probeOptions.endpoint = args.endpoint;
+if (args.rate) probeOptions.rate = Number(args.rate);
+if (args.scenario) probeOptions.scenario = args.scenario;
+if (args.seed) probeOptions.seed = Number(args.seed);
+
+// ── Output ──
+const emit = (record) => process.stdout.write(`${JSON.stringify(record)}\n`);
+const fixed = (v, digits, width) => v.toFixed(digits).padStart(width);
+
+function printSample(sample, score, health) {
+  if (args.json) {
+    emit({ type: 'sample', ...sample, score, health });
+    return;
+  }
+  const flags = [
+    sample.stress && 'stress',
+    sample.fallback ? 'fallback' : sample.synthetic && 'synthetic',
+    sample.gap && `${sample.gap} missed`,
+  ].filter(Boolean);
+  process.stdout.write(
+    `${new Date(sample.t).toLocaleTimeString()}  rtt ${fixed(sample.rtt, 1, 6)} ms  jitter ${fixed(sample.jitter, 1, 5)} ms  ` +
+    `loss ${fixed(sample.loss, 1, 5)}%  score ${String(score).padStart(3)}  ${health}` +
+    (flags.length ? `  [${flags.join(', ')}]` : '') + '\n',
+  );
+}
+
+function printStress(result) {
+  if (args.json) {
+    emit({ type: 'stress', ...result });
+    return;
+  }
+  const bloat = result.grade ? `  bufferbloat +${result.bloat.toFixed(0)} ms (${result.grade})` : '';
+  process.stdout.write(
+    `\nStress test ${result.loaded ? '(link loaded)' : '(not loaded)'}: score ${result.score} ${result.health}  ` +
+    `rtt ${result.avgRtt.toFixed(1)} ms  jitter ${result.avgJitter.toFixed(1)} ms  loss ${result.avgLoss.toFixed(2)}%  ` +
+    `MOS ${result.mos.toFixed(2)}${bloat}\n`,
+  );
+}
+
+function printSummary(summary) {
+  if (args.json) {
+    emit({ type: 'summary', ...summary });
+    return;
+  }
+  process.stdout.write(
+    `\n${summary.samples} samples (${formatShare(summary.real)} real) · ${profile.name} score ${summary.score ?? '—'} ${summary.health ?? ''}` +
+    (summary.passed == null ? '' : summary.passed ? ` · passed (min ${minScore})` : ` · FAILED (min ${minScore})`) +
+    (summary.enoughReal ? '' : ` · FAILED: only ${formatShare(summary.real)} measured (min ${minReal}%)`) + '\n',
+  );
+}
+
+// ── Run ──
+const probe = createProbe(source, probeOptions);
+try {
+  await probe.start();
+} catch (err) {
+  fail(err.message);
+}
+
+const measured = probe.capabilities.measured;
+// For a measured source, fallback and other synthetic samples are never scored
+const counts = (s) => !measured || !isSynthetic(s);
+
+const startedAt = Date.now();
+const samples = [];
+const stressData = [];
+const stressTests = [];
+const annotations = [];
+let idleRtts = [];
+let load = null;
+
+const loop = new PollLoop({
+  source,
+  interval: INTERVAL,
+  measured,
+  poll:     (stress) => probe.poll({ stress }),
+  onSample: (s) => {
+    const { stress: isStress, ...sample } = s;
+    if (isStress) stressData.push(sample);
+    else idleRtts = [...idleRtts.slice(-BASELINE_SAMPLES + 1), sample.rtt];
+    samples.push(sample);
+    printSample(s, calcScore(s.rtt, s.jitter, s.loss, profile.weights), getHealth(s.rtt, s.jitter, s.loss, profile.thresholds));
+  },
+});
+
+let interrupted = false;
+let wake = null;
+const sleep = (ms) => new Promise((resolve) => {
+  const t = setTimeout(resolve, ms);
+  wake = () => { clearTimeout(t); resolve(); };
+});
+process.once('SIGINT', () => {
+  interrupted = true;
+  wake?.();
+});
+
+loop.start();
+await sleep(duration * 1000);
+
+if (args.stress && !interrupted) {
+  // Same rule as the dashboard: only a measured source has a link to load
+  if (measured) {
+    load = new LoadGenerator({ endpoint: args['load-endpoint'] });
+    try {
+      await load.start();
+    } catch (err) {
+      process.stderr.write(`zoom-meter: ${err.message}; stress test runs without load\n`);
+      load = null;
+    }
+  }
+  const baseline = idleRtts;
+  loop.stress = true;
+  annotations.push(annotation('stress', load ? 'Stress test started (link loaded)' : 'Stress test started'));
+  await sleep(stressDuration * 1000);
+  loop.stress = false;
+  load?.stop();
+  annotations.push(annotation('stress', 'Stress test ended'));
+
+  const stressMeasured = stressData.filter(counts);
+  if (stressMeasured.length > 0) {
+    const result = summarizeStress(stressMeasured, {
+      index:    1,
+      duration: stressDuration,
+      interval: INTERVAL,
+      profile,
+      idleRtts: baseline,
+      loaded:   load != null,
+    });
+    stressTests.push(result);
+    printStress(result);
+  }
+}
+
+loop.stop();
+probe.stop();
+
+// ── Summary and session file ──
+const idle = samples.filter((s) => !stressData.includes(s) && counts(s));
+const scored = idle.length > 0 ? idle : samples.filter(counts);
+const avg = averageMetrics(scored);
+const score = scored.length > 0 ? calcScore(avg.rtt, avg.jitter, avg.loss, profile.weights) : null;
+const lowest = Math.min(...[score, ...stressTests.map((r) => r.score)].filter((v) => v != null));
+const passed = minScore == null ? null : Number.isFinite(lowest) && lowest >= minScore;
+const real = realShare(samples);
+const enoughReal = !measured || (real != null && real * 100 >= minReal);
+
+printSummary({
+  samples:   samples.length,
+  real,
+  score,
+  health:    scored.length > 0 ? getHealth(avg.rtt, avg.jitter, avg.loss, profile.thresholds) : null,
+  avgRtt:    avg.rtt,
+  avgJitter: avg.jitter,
+  avgLoss:   avg.loss,
+  stats:     scored.length > 0 ? summarize(scored, { interval: INTERVAL }) : null,
+  interrupted,
+  passed,
+  enoughReal,
+});
+
+if (args.out) {
+  const session = {
+    name:         `CLI ${new Date(startedAt).toLocaleString()}`,
+    startedAt,
+    endedAt:      samples.at(-1)?.t ?? startedAt,
+    source,
+    probeOptions,
+    thresholds:   profile.thresholds,
+    profile:      { id: profile.id, name: profile.name, bands: profile.bands },
+    sampleCount:  samples.length,
+    stressTests,
+    alerts:       [],
+    annotations,
+    samples,
+  };
+  try {
+    await writeFile(args.out, sessionToJSON(session));
+  } catch (err) {
+    fail(`cannot write ${args.out}: ${err.message}`);
+  }
+}
+
+process.exit(!enoughReal ? 3 : passed === false ? 2 : 0);
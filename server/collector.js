@@ -0,0 +1,215 @@
+// ─── ZoomMeter collector stand-in ─────────────────────────────────────────────
+// A local stand-in for a monitoring collector, to try the dashboard's collector
+// integration without a Prometheus or webhook service. It takes every format
+// the dashboard sends, on any path:
+//   application/json                JSON webhook batches
+//   application/openmetrics-text    OpenMetrics text
+//   application/x-protobuf          Prometheus remote-write (snappy + protobuf)
+// prints a one-line summary per batch and keeps the last ones for inspection:
+//   GET /batches                    the most recent batches, decoded, as JSON
+// The routes send permissive CORS headers so the dashboard can post from
+// another origin.
+//
+//   npm run collector                      # listens on 0.0.0.0:9091
+//   COLLECTOR_PORT=9200 npm run collector
+//   COLLECTOR_FAIL=0.5 npm run collector   # answer half the batches with 503
+//   COLLECTOR_TOKEN=secret npm run collector   # require this bearer token
+
+import { createServer } from 'node:http';
+
+const PORT  = Number(process.env.COLLECTOR_PORT) || 9091;
+const HOST  = process.env.HOST || '0.0.0.0';
+const FAIL  = Number(process.env.COLLECTOR_FAIL) || 0; // share of batches to refuse, to exercise retries
+const TOKEN = process.env.COLLECTOR_TOKEN || '';
+
+const KEEP_BATCHES = 50;
+const BODY_MAX     = 10 * 1024 * 1024;
+
+const CORS = {
+  'Access-Control-Allow-Origin':  '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Content-Encoding, Authorization, X-Prometheus-Remote-Write-Version',
+  'Cache-Control':                'no-store',
+};
+
+const batches = [];
+
+// ── Snappy block format ──
+function readVarint(buf, pos) {
+  let value = 0;
+  let scale = 1;
+  for (;;) {
+    const b = buf[pos++];
+    value += (b & 0x7f) * scale;
+    if (b < 0x80) return [value, pos];
+    scale *= 0x80;
+  }
+}
+
+function snappyDecode(buf) {
+  let [length, pos] = readVarint(buf, 0);
+  const out = Buffer.alloc(length);
+  let o = 0;
+  while (pos < buf.length) {
+    const tag = buf[pos++];
+    const type = tag & 3;
+    if (type === 0) {
+      let len = tag >> 2;
+      if (len >= 60) {
+        const bytes = len - 59;
+        len = buf.readUIntLE(pos, bytes);
+        pos += bytes;
+      }
+      len += 1;
+      buf.copy(out, o, pos, pos + len);
+      pos += len;
+      o += len;
+      continue;
+    }
+    let len;
+    let offset;
+    if (type === 1) {
+      len = ((tag >> 2) & 7) + 4;
+      offset = ((tag >> 5) << 8) | buf[pos++];
+    } else if (type === 2) {
+      len = (tag >> 2) + 1;
+      offset = buf.readUInt16LE(pos);
+      pos += 2;
+    } else {
+      len = (tag >> 2) + 1;
+      offset = buf.readUInt32LE(pos);
+      pos += 4;
+    }
+    if (offset === 0 || offset > o) throw new Error('Bad snappy copy offset');
+    for (let i = 0; i < len; i++, o++) out[o] = out[o - offset]; // may overlap
+  }
+  if (o !== length) throw new Error('Snappy length mismatch');
+  return out;
+}
+
+// ── Protobuf (just enough for a remote-write WriteRequest) ──
+function fields(buf) {
+  const out = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    let key;
+    [key, pos] = readVarint(buf, pos);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    if (wire === 0) {
+      let v;
+      [v, pos] = readVarint(buf, pos);
+      out.push({ field, value: v });
+    } else if (wire === 1) {
+      out.push({ field, value: buf.readDoubleLE(pos) });
+      pos += 8;
+    } else if (wire === 2) {
+      let len;
+      [len, pos] = readVarint(buf, pos);
+      out.push({ field, value: buf.subarray(pos, pos + len) });
+      pos += len;
+    } else if (wire === 5) {
+      pos += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wire}`);
+    }
+  }
+  return out;
+}
+
+function decodeWriteRequest(buf) {
+  return fields(buf).filter((f) => f.field === 1).map(({ value: ts }) => {
+    const labels = {};
+    const samples = [];
+    fields(ts).forEach(({ field, value }) => {
+      if (field === 1) {
+        const l = fields(value);
+        labels[l.find((f) => f.field === 1)?.value.toString()] = l.find((f) => f.field === 2)?.value.toString() ?? '';
+      } else if (field === 2) {
+        const s = fields(value);
+        samples.push({ value: s.find((f) => f.field === 1)?.value ?? 0, t: s.find((f) => f.field === 2)?.value ?? 0 });
+      }
+    });
+    return { labels, samples };
+  });
+}
+
+// ── Batches ──
+function decode(type, body) {
+  if (type.startsWith('application/json')) {
+    const doc = JSON.parse(body.toString());
+    const summary = `${doc.samples?.length ?? 0} samples, ${doc.stressTests?.length ?? 0} stress tests, ${doc.alerts?.length ?? 0} alerts`;
+    return { format: 'json', summary, payload: doc };
+  }
+  if (type.startsWith('application/openmetrics-text') || type.startsWith('text/plain')) {
+    const text = body.toString();
+    if (!/^# EOF$/m.test(text)) throw new Error('OpenMetrics payload has no # EOF');
+    const points = text.split('\n').filter((l) => l && !l.startsWith('#'));
+    const families = new Set(points.map((l) => l.split(/[{ ]/)[0]));
+    return { format: 'openmetrics', summary: `${points.length} points in ${families.size} metrics`, payload: text };
+  }
+  if (type.startsWith('application/x-protobuf')) {
+    const series = decodeWriteRequest(snappyDecode(body));
+    const points = series.reduce((n, s) => n + s.samples.length, 0);
+    return { format: 'remote-write', summary: `${points} points in ${series.length} series`, payload: series };
+  }
+  throw new Error(`Unsupported content type ${type || '(none)'}`);
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { ...CORS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function ingest(req, res) {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= BODY_MAX) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    const time = new Date().toLocaleTimeString();
+    if (size > BODY_MAX) return reply(res, 413, { error: 'Batch too large' });
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+      console.log(`[${time}] refused: missing or wrong bearer token`);
+      return reply(res, 401, { error: 'Unauthorized' });
+    }
+    if (Math.random() < FAIL) {
+      console.log(`[${time}] refused with 503 (COLLECTOR_FAIL)`);
+      return reply(res, 503, { error: 'Simulated outage' });
+    }
+    try {
+      const batch = decode(req.headers['content-type'] ?? '', Buffer.concat(chunks));
+      batches.push({ receivedAt: Date.now(), path: req.url, format: batch.format, payload: batch.payload });
+      if (batches.length > KEEP_BATCHES) batches.shift();
+      console.log(`[${time}] ${batch.format} ${req.url}: ${batch.summary}`);
+      reply(res, 200, { ok: true });
+    } catch (err) {
+      console.log(`[${time}] rejected: ${err.message}`);
+      reply(res, 400, { error: err.message });
+    }
+  });
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS);
+    res.end();
+  } else if (req.method === 'GET' && url.pathname === '/batches') {
+    reply(res, 200, batches);
+  } else if (req.method === 'POST') {
+    ingest(req, res);
+  } else {
+    res.writeHead(404, { ...CORS, 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`ZoomMeter collector stand-in on http://${HOST}:${PORT}`);
+  console.log(`  POST batches to any path, e.g. http://${HOST}:${PORT}/ingest`);
+  console.log(`  Received batches: http://${HOST}:${PORT}/batches`);
+});
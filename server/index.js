@@ -0,0 +1,103 @@
+// ─── ZoomMeter local test server ──────────────────────────────────────────────
+// A measurement target we control, on localhost or across a LAN:
+//   /echo       WebSocket echo — returns every frame untouched
+//   /download   GET, streams ?bytes=N of filler (default 25 MB)
+//   /upload     POST, reads and discards the body
+//   UDP 3478 and 3479: STUN binding responders for the ICE check (see stun.js)
+// The HTTP routes send permissive CORS headers so the dashboard can load the
+// link from another origin during the stress test.
+//
+//   npm run server            # listens on 0.0.0.0:8787
+//   PORT=9000 npm run server
+//   STUN_PORTS=3478 npm run server   # one STUN port; empty disables STUN
+
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { startStunServer } from './stun.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const STUN_PORTS = (process.env.STUN_PORTS ?? '3478,3479').split(',').map(Number).filter(Boolean);
+
+const DOWNLOAD_DEFAULT = 25 * 1024 * 1024;
+const DOWNLOAD_MAX     = 200 * 1024 * 1024;
+const FILLER           = randomBytes(64 * 1024); // incompressible
+
+const CORS = {
+  'Access-Control-Allow-Origin':  '*',
+  'Access-Control-Allow-Methods': 'GET, POST, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Cache-Control':                'no-store',
+};
+
+function download(req, res, url) {
+  const requested = Number(url.searchParams.get('bytes')) || DOWNLOAD_DEFAULT;
+  let left = Math.min(Math.max(requested, 1), DOWNLOAD_MAX);
+  res.writeHead(200, { ...CORS, 'Content-Type': 'application/octet-stream', 'Content-Length': left });
+
+  const pump = () => {
+    while (left > 0) {
+      const chunk = left >= FILLER.length ? FILLER : FILLER.subarray(0, left);
+      left -= chunk.length;
+      if (!res.write(chunk)) { res.once('drain', pump); return; }
+    }
+    res.end();
+  };
+  req.on('close', () => { left = 0; });
+  pump();
+}
+
+function upload(req, res) {
+  let bytes = 0;
+  req.on('data', (chunk) => { bytes += chunk.length; });
+  req.on('end', () => {
+    res.writeHead(200, { ...CORS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ bytes }));
+  });
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS);
+    res.end();
+  } else if (url.pathname === '/download' && (req.method === 'GET' || req.method === 'HEAD')) {
+    download(req, res, url);
+  } else if (url.pathname === '/upload' && req.method === 'POST') {
+    upload(req, res);
+  } else {
+    res.writeHead(404, { ...CORS, 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+  }
+});
+
+const echo = new WebSocketServer({ noServer: true });
+
+echo.on('connection', (ws, req) => {
+  const peer = req.socket.remoteAddress;
+  console.log(`[echo] ${peer} connected`);
+  ws.on('message', (data, isBinary) => ws.send(data, { binary: isBinary }));
+  ws.on('close', () => console.log(`[echo] ${peer} disconnected`));
+});
+
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname !== '/echo') {
+    socket.destroy();
+    return;
+  }
+  echo.handleUpgrade(req, socket, head, (ws) => echo.emit('connection', ws, req));
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`ZoomMeter test server on http://${HOST}:${PORT}`);
+  console.log(`  WebSocket echo: ws://${HOST}:${PORT}/echo`);
+  console.log(`  Load endpoints: http://${HOST}:${PORT}/download, /upload`);
+});
+
+STUN_PORTS.forEach((port) => {
+  startStunServer(port, HOST);
+  console.log(`  STUN:           stun:${HOST}:${port}`);
+});
@@ -0,0 +1,73 @@
+// ─── Minimal STUN binding server (RFC 5389) ───────────────────────────────────
+// Answers Binding requests with the sender's XOR-MAPPED-ADDRESS, which is all
+// a browser needs to gather a server-reflexive candidate. Running it on two
+// ports gives the ICE check two "servers" to compare mappings against. No
+// authentication and no TURN; use coturn for relay tests.
+
+import { createSocket } from 'node:dgram';
+
+const MAGIC_COOKIE          = 0x2112a442;
+const BINDING_REQUEST       = 0x0001;
+const BINDING_SUCCESS       = 0x0101;
+const ATTR_XOR_MAPPED_ADDR  = 0x0020;
+const HEADER_LENGTH         = 20;
+
+function xorMappedAddress(address, port, txid, family) {
+  const v6 = family === 'IPv6';
+  const value = Buffer.alloc(v6 ? 20 : 8);
+  value.writeUInt8(0, 0);
+  value.writeUInt8(v6 ? 0x02 : 0x01, 1);
+  value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+
+  const key = Buffer.alloc(16);
+  key.writeUInt32BE(MAGIC_COOKIE, 0);
+  txid.copy(key, 4);
+  const raw = v6 ? ipv6Bytes(address) : Buffer.from(address.split('.').map(Number));
+  raw.forEach((b, i) => value.writeUInt8(b ^ key[i], 4 + i));
+
+  const attr = Buffer.alloc(4 + value.length);
+  attr.writeUInt16BE(ATTR_XOR_MAPPED_ADDR, 0);
+  attr.writeUInt16BE(value.length, 2);
+  value.copy(attr, 4);
+  return attr;
+}
+
+function ipv6Bytes(address) {
+  const [head, tail = ''] = address.split('::');
+  const parts = (s) => (s ? s.split(':') : []);
+  const groups = [...parts(head), ...Array(8 - parts(head).length - parts(tail).length).fill('0'), ...parts(tail)];
+  const buf = Buffer.alloc(16);
+  groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), i * 2));
+  return buf;
+}
+
+// Parses a request and returns the response, or null for anything that isn't
+// a well-formed Binding request
+export function bindingResponse(msg, rinfo) {
+  if (msg.length < HEADER_LENGTH || msg.readUInt16BE(0) !== BINDING_REQUEST || msg.readUInt32BE(4) !== MAGIC_COOKIE) {
+    return null;
+  }
+  const txid = msg.subarray(8, 20);
+  // IPv4-mapped IPv6 senders (dual-stack sockets) are reported as plain IPv4
+  const mapped = rinfo.address.startsWith('::ffff:') ? rinfo.address.slice(7) : rinfo.address;
+  const family = mapped.includes(':') ? 'IPv6' : 'IPv4';
+  const attr = xorMappedAddress(mapped, rinfo.port, txid, family);
+
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt16BE(BINDING_SUCCESS, 0);
+  header.writeUInt16BE(attr.length, 2);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  txid.copy(header, 8);
+  return Buffer.concat([header, attr]);
+}
+
+export function startStunServer(port, host) {
+  const socket = createSocket('udp4');
+  socket.on('message', (msg, rinfo) => {
+    const res = bindingResponse(msg, rinfo);
+    if (res) socket.send(res, rinfo.port, rinfo.address);
+  });
+  socket.on('error', (err) => console.error(`[stun:${port}] ${err.message}`));
+  socket.bind(port, host);
+  return socket;
+}
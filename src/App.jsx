@@ -12,6 +12,7 @@ import {
   Legend,
   Filler,
 } from 'chart.js';
+import zoomPlugin from 'chartjs-plugin-zoom';
 import {
   Wifi,
   WifiOff,
@@ -25,7 +26,129 @@ import {
   BarChart2,
   Info,
   History,
+  Copy,
+  Shuffle,
+  Download,
+  Upload,
+  Gauge,
+  Database,
+  FolderOpen,
+  Pencil,
+  Trash2,
+  X,
+  FileDown,
+  FileUp,
+  SlidersHorizontal,
+  Bell,
+  BellRing,
+  Sigma,
+  Repeat,
+  Lightbulb,
+  Network,
+  Video,
+  Film,
+  Mic,
+  CalendarClock,
+  Flag,
+  Play,
+  Pause,
+  Webhook,
 } from 'lucide-react';
+import { PROBE_SOURCES, DEFAULT_SOURCE, sourceLabel, sourceFromUrl } from './probes/index.js';
+import { SCENARIOS } from './lib/scenarios.js';
+import { clamp } from './lib/util.js';
+import { downsample } from './lib/downsample.js';
+import { sampleGaps } from './lib/gaps.js';
+import { isSynthetic, isFallback, realShare, formatShare, syntheticStretches } from './lib/provenance.js';
+import { summarize, stabilityLabel } from './lib/stats.js';
+import { analyzeSamples, SPIKE_METRICS } from './lib/analysis.js';
+import { advise } from './lib/advisor.js';
+import {
+  NAT_TYPES,
+  runIceCheck,
+  loadIceServers,
+  saveIceServers,
+  parseServerLines,
+  serverLines,
+} from './lib/ice.js';
+import { Sampler } from './lib/sampler.js';
+import { MediaLoopbackTest, summarizeMedia } from './lib/mediaTest.js';
+import { Replayer, REPLAY_SPEEDS } from './lib/replay.js';
+import {
+  ANNOTATION_KINDS,
+  QUICK_NOTES,
+  annotation,
+  networkAnnotation,
+  connectionChanges,
+} from './lib/annotations.js';
+import {
+  CHECK_INTERVALS,
+  CHECK_DURATIONS,
+  WEEKDAYS,
+  loadSchedule,
+  saveSchedule,
+  runCheckBurst,
+  checkHeatmap,
+  bestSlots,
+} from './lib/schedule.js';
+import { voiceQuality } from './lib/emodel.js';
+import {
+  metricHealth,
+  getHealth,
+  calcScore,
+  readinessHealth,
+  averageMetrics,
+  summarizeStress,
+} from './lib/core.js';
+import {
+  BUILT_IN_PROFILES,
+  loadCustomProfiles,
+  saveCustomProfiles,
+  loadActiveProfileId,
+  saveActiveProfileId,
+  cloneProfile,
+} from './lib/profiles.js';
+import { LoadGenerator, DEFAULT_LOAD_ENDPOINT, measureThroughput } from './lib/load.js';
+import { AlertEngine, alertWatch, describeRule, loadAlertSettings, saveAlertSettings } from './lib/alerts.js';
+import {
+  Collector,
+  COLLECTOR_FORMATS,
+  COLLECTOR_INTERVALS,
+  loadCollectorSettings,
+  saveCollectorSettings,
+  collectorUrlProblem,
+} from './lib/collector.js';
+import {
+  notificationPermission,
+  requestNotificationPermission,
+  desktopNotify,
+  playAlertCue,
+  setTitleBadge,
+} from './lib/notify.js';
+import {
+  createSession,
+  appendSamples,
+  appendStressTest,
+  appendMediaTest,
+  appendAlert,
+  appendAnnotation,
+  updateSession,
+  listSessions,
+  loadSession,
+  deleteSession,
+  importSession,
+  saveCheck,
+  listChecks,
+  clearChecks,
+} from './lib/sessionStore.js';
+import {
+  sessionToJSON,
+  sessionToCSV,
+  sessionToHTML,
+  parseSessionJSON,
+  exportFilename,
+  downloadFile,
+} from './lib/sessionExport.js';
 
 ChartJS.register(
   CategoryScale,
@@ -36,35 +159,55 @@ ChartJS.register(
   Tooltip,
   Legend,
   Filler,
+  zoomPlugin,
 );
 
 // ─── Constants ────────────────────────────────────────────────────────────────
-const MAX_POINTS = 60; // 60 seconds rolling window
 const POLL_INTERVAL = 1000; // 1 second
 const STRESS_DURATION = 30; // seconds
+const PING_RATES = [1, 5, 10, 20, 50]; // selectable pings per second
+const BASELINE_SAMPLES = 10; // idle samples kept for the bufferbloat baseline
+const ANALYSIS_EVERY = 10; // samples between spike/pattern analysis runs
+const ANALYSIS_SAMPLES = 4 * 60 * 60; // at most the last 4 h, enough for hourly patterns
+const LIVE_SAMPLES = 24 * 60 * 60; // the live dashboard keeps the last 24 h; the recorded session keeps all
+const ADVICE_SAMPLES = 5 * 60; // live advice judges the last 5 minutes
+const MEDIA_TEST_DURATION = 20; // seconds of synthetic audio/video per media test
 
-const THRESHOLDS = {
-  rtt:    { good: 100, warn: 200 },
-  jitter: { good: 20,  warn: 50  },
-  loss:   { good: 0.2, warn: 2   },
-};
+// Zoom's published bandwidth needs per mode, in Mbps
+const ZOOM_TIERS = [
+  { label: 'Audio',          up: 0.08, down: 0.08 },
+  { label: 'Screen share',   up: 0.15, down: 0.15 },
+  { label: '720p 1:1',       up: 1.2,  down: 1.2  },
+  { label: '720p group',     up: 2.6,  down: 1.8  },
+  { label: 'Gallery view',   up: 2.6,  down: 2.0  },
+  { label: '1080p 1:1',      up: 3.8,  down: 3.0  },
+  { label: '1080p gallery',  up: 3.8,  down: 4.0  },
+];
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
-function clamp(v, min, max) { return Math.min(max, Math.max(min, v)); }
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m ${String(sec).padStart(2, '0')}s`;
+  return `${sec}s`;
+}
 
-function getHealth(rtt, jitter, loss) {
-  if (rtt > THRESHOLDS.rtt.warn || jitter > THRESHOLDS.jitter.warn || loss > THRESHOLDS.loss.warn) return 'critical';
-  if (rtt > THRESHOLDS.rtt.good || jitter > THRESHOLDS.jitter.good || loss > THRESHOLDS.loss.good) return 'warning';
-  return 'good';
+function formatClock(t) {
+  return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
 }
 
-function calcScore(rtt, jitter, loss) {
-  // Start at 100; deduct points for each metric
-  let score = 100;
-  score -= clamp((rtt - 50) / 2, 0, 30);
-  score -= clamp((jitter - 10) / 1.5, 0, 20);
-  score -= clamp(loss * 25, 0, 50);
-  return Math.round(clamp(score, 0, 100));
+function supportedTiers(throughput) {
+  return ZOOM_TIERS.map((t) => ({ ...t, ok: throughput.up >= t.up && throughput.down >= t.down }));
+}
+
+// Green when the link carries every Zoom mode, yellow when it manages 720p 1:1
+function throughputHealth(mbps, dir) {
+  if (mbps >= ZOOM_TIERS[ZOOM_TIERS.length - 1][dir]) return 'good';
+  if (mbps >= ZOOM_TIERS.find((t) => t.label === '720p 1:1')[dir]) return 'warning';
+  return 'critical';
 }
 
 const HEALTH_STYLES = {
@@ -73,73 +216,6 @@ const HEALTH_STYLES = {
   critical: { color: '#ef4444', glow: '0 0 40px 15px rgba(239,68,68,0.6)',  label: 'Critical',    bg: 'bg-red-500/20',    text: 'text-red-400',    border: 'border-red-500/50' },
 };
 
-// ─── WebRTC STUN probe ────────────────────────────────────────────────────────
-class StunProbe {
-  constructor() {
-    this.pc = null;
-    this.prevStats = {};
-  }
-
-  async start() {
-    this.pc = new RTCPeerConnection({
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
-    });
-    // Add a data channel so ICE negotiation actually fires
-    this.pc.createDataChannel('probe');
-    const offer = await this.pc.createOffer();
-    await this.pc.setLocalDescription(offer);
-  }
-
-  async poll() {
-    if (!this.pc) return null;
-    try {
-      const stats = await this.pc.getStats();
-      let rtt = 0, jitter = 0, loss = 0;
-      let found = false;
-
-      stats.forEach((report) => {
-        if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.currentRoundTripTime != null) {
-          rtt = report.currentRoundTripTime * 1000; // seconds → ms
-          found = true;
-        }
-        if (report.type === 'remote-inbound-rtp') {
-          if (report.jitter != null) jitter = report.jitter * 1000;
-          if (report.fractionLost != null) loss = report.fractionLost * 100;
-        }
-        if (report.type === 'inbound-rtp') {
-          const prev = this.prevStats[report.id] || {};
-          const dPkts = (report.packetsReceived || 0) - (prev.packetsReceived || 0);
-          const dLost = (report.packetsLost || 0) - (prev.packetsLost || 0);
-          if (dPkts + dLost > 0) {
-            loss = Math.max(loss, (dLost / (dPkts + dLost)) * 100);
-          }
-          this.prevStats[report.id] = report;
-        }
-      });
-
-      return found ? { rtt, jitter, loss } : null;
-    } catch {
-      return null;
-    }
-  }
-
-  stop() {
-    if (this.pc) { this.pc.close(); this.pc = null; }
-    this.prevStats = {};
-  }
-}
-
-// ─── Simulated metrics (fallback / stress augmentation) ──────────────────────
-function simulateMetrics(prev, stress = false) {
-  const noise  = (s) => (Math.random() - 0.5) * s;
-  const bounce = (v, lo, hi, step) => clamp(v + noise(step), lo, hi);
-
-  const rtt    = bounce((prev?.rtt    ?? 45),  5, stress ? 350 : 180, stress ? 40 : 15);
-  const jitter = bounce((prev?.jitter ?? 8),   0, stress ? 80  : 45,  stress ? 20 : 8);
-  const loss   = bounce((prev?.loss   ?? 0),   0, stress ? 5   : 1.5, stress ? 1  : 0.3);
-  return { rtt, jitter, loss };
-}
-
 // ─── PulseOrb ────────────────────────────────────────────────────────────────
 function PulseOrb({ health, score }) {
   const hs = HEALTH_STYLES[health];
@@ -185,7 +261,7 @@ function PulseOrb({ health, score }) {
 }
 
 // ─── Metric Card ─────────────────────────────────────────────────────────────
-function MetricCard({ icon: Icon, label, value, unit, health }) {
+function MetricCard({ icon: Icon, label, value, unit, health, digits }) {
   const hs = HEALTH_STYLES[health];
   return (
     <motion.div
@@ -205,7 +281,7 @@ function MetricCard({ icon: Icon, label, value, unit, health }) {
           animate={{ scale: 1 }}
           transition={{ duration: 0.2 }}
         >
-          {Number.isFinite(value) ? value.toFixed(value < 10 ? 2 : 0) : '—'}
+          {Number.isFinite(value) ? value.toFixed(digits ?? (value < 10 ? 2 : 0)) : '—'}
         </motion.span>
         <span className="text-sm text-slate-400">{unit}</span>
       </div>
@@ -214,17 +290,15 @@ function MetricCard({ icon: Icon, label, value, unit, health }) {
 }
 
 // ─── Seismograph Chart ────────────────────────────────────────────────────────
+// Bands come from each chart's `plugins.colorBands.bands` option; `hi: Infinity`
+// runs to the top of the chart area however far the y-axis auto-scales.
 const colorBandPlugin = {
   id: 'colorBands',
-  beforeDraw(chart) {
+  defaults: { bands: [] },
+  beforeDraw(chart, _args, { bands }) {
     const { ctx, chartArea: { left, right, top, bottom }, scales: { y } } = chart;
-    const toY = (v) => y.getPixelForValue(v);
+    const toY = (v) => (v === Infinity ? top : y.getPixelForValue(v));
 
-    const bands = [
-      { lo: 0,   hi: 20,  color: 'rgba(34,197,94,0.08)' },
-      { lo: 20,  hi: 50,  color: 'rgba(234,179,8,0.10)' },
-      { lo: 50,  hi: 200, color: 'rgba(239,68,68,0.10)' },
-    ];
     bands.forEach(({ lo, hi, color }) => {
       const yTop = clamp(toY(hi), top, bottom);
       const yBot = clamp(toY(lo), top, bottom);
@@ -234,55 +308,194 @@ const colorBandPlugin = {
   },
 };
 
-ChartJS.register(colorBandPlugin);
+// Dashed vertical lines at `plugins.eventMarkers.markers` ({ t, color, label }),
+// or a small triangle on the top edge for `tick: true` markers; labels are
+// opt-in so the short loss panel only gets the lines.
+const eventMarkerPlugin = {
+  id: 'eventMarkers',
+  defaults: { markers: [], labels: false },
+  afterDatasetsDraw(chart, _args, { markers, labels }) {
+    const { ctx, chartArea: { left, right, top, bottom }, scales: { x } } = chart;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    markers.forEach(({ t, color, label, tick }) => {
+      const px = x.getPixelForValue(t);
+      if (px < left || px > right) return;
+      if (tick) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(px - 4, top);
+        ctx.lineTo(px + 4, top);
+        ctx.lineTo(px, top + 6);
+        ctx.fill();
+        return;
+      }
+      ctx.strokeStyle = color;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(px, top);
+      ctx.lineTo(px, bottom);
+      ctx.stroke();
+      if (labels && label) {
+        ctx.fillStyle = color;
+        ctx.fillText(label, px + 3, top + 10);
+      }
+    });
+    ctx.restore();
+  },
+};
 
-function SeismographChart({ jitterData, latencyData, labels }) {
-  const data = {
-    labels,
-    datasets: [
-      {
-        label: 'Jitter (ms)',
-        data: jitterData,
-        borderColor: '#a78bfa',
-        backgroundColor: 'rgba(167,139,250,0.15)',
-        fill: true,
-        tension: 0.4,
-        pointRadius: 0,
-        borderWidth: 2,
-      },
-      {
-        label: 'Latency (ms)',
-        data: latencyData,
-        borderColor: '#38bdf8',
-        backgroundColor: 'rgba(56,189,248,0.08)',
-        fill: true,
-        tension: 0.4,
-        pointRadius: 0,
-        borderWidth: 2,
-      },
-    ],
+// Plain grey spans over `plugins.gapRegions.gaps` ({ from, to }): time the
+// sampler missed, shown as a hole rather than a line drawn across it.
+const gapRegionPlugin = {
+  id: 'gapRegions',
+  defaults: { gaps: [] },
+  beforeDatasetsDraw(chart, _args, { gaps }) {
+    const { ctx, chartArea: { left, right, top, bottom }, scales: { x } } = chart;
+    ctx.save();
+    ctx.fillStyle = 'rgba(148,163,184,0.12)';
+    gaps.forEach(({ from, to }) => {
+      const x0 = clamp(x.getPixelForValue(from), left, right);
+      const x1 = clamp(x.getPixelForValue(to), left, right);
+      if (x1 > x0) ctx.fillRect(x0, top, x1 - x0, bottom - top);
+    });
+    ctx.restore();
+  },
+};
+
+// Amber spans over `plugins.syntheticRegions.regions` ({ from, to, fallback }):
+// stretches with no real measurement. Fallback stretches, where the chosen
+// source went quiet, are hatched as well so they can't pass for real data.
+const syntheticRegionPlugin = {
+  id: 'syntheticRegions',
+  defaults: { regions: [] },
+  beforeDatasetsDraw(chart, _args, { regions }) {
+    const { ctx, chartArea: { left, right, top, bottom }, scales: { x } } = chart;
+    ctx.save();
+    regions.forEach(({ from, to, fallback }) => {
+      const x0 = clamp(x.getPixelForValue(from), left, right);
+      const x1 = clamp(x.getPixelForValue(to), left, right);
+      if (x1 <= x0) return;
+      ctx.fillStyle = fallback ? 'rgba(251,191,36,0.12)' : 'rgba(251,191,36,0.05)';
+      ctx.fillRect(x0, top, x1 - x0, bottom - top);
+      if (!fallback) return;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x0, top, x1 - x0, bottom - top);
+      ctx.clip();
+      ctx.strokeStyle = 'rgba(251,191,36,0.25)';
+      ctx.beginPath();
+      for (let hx = x0 - (bottom - top); hx < x1; hx += 8) {
+        ctx.moveTo(hx, bottom);
+        ctx.lineTo(hx + (bottom - top), top);
+      }
+      ctx.stroke();
+      ctx.restore();
+    });
+    ctx.restore();
+  },
+};
+
+ChartJS.register(colorBandPlugin, eventMarkerPlugin, gapRegionPlugin, syntheticRegionPlugin);
+
+const ALERT_MARKER_COLOR = '#f87171';
+const alertMarkers = (alerts = []) => alerts.map((a) => ({ t: a.t, label: a.name, color: ALERT_MARKER_COLOR }));
+
+const SPIKE_COLORS = { rtt: '#38bdf8', jitter: '#a78bfa', loss: '#f87171' };
+const spikeMarkers = (spikes = []) => spikes.map((s) => ({ t: s.t, color: SPIKE_COLORS[s.metric], tick: true }));
+
+const annotationMarkers = (annotations = []) => annotations.map((a) => {
+  const { color, tick } = ANNOTATION_KINDS[a.kind] ?? ANNOTATION_KINDS.note;
+  return { t: a.t, label: a.label, color, tick };
+});
+
+const BAND_COLORS = { good: 'rgba(34,197,94,0.08)', warning: 'rgba(234,179,8,0.10)', critical: 'rgba(239,68,68,0.10)' };
+
+function zoneBands({ good, warn }) {
+  return [
+    { lo: 0,    hi: good,     color: BAND_COLORS.good },
+    { lo: good, hi: warn,     color: BAND_COLORS.warning },
+    { lo: warn, hi: Infinity, color: BAND_COLORS.critical },
+  ];
+}
+
+const TIME_WINDOWS = [
+  { id: '1m',  label: '1 min',   ms: 60 * 1000 },
+  { id: '5m',  label: '5 min',   ms: 5 * 60 * 1000 },
+  { id: '30m', label: '30 min',  ms: 30 * 60 * 1000 },
+  { id: '1h',  label: '1 h',     ms: 60 * 60 * 1000 },
+  { id: 'all', label: 'Session', ms: null },
+];
+const CHART_BUCKETS = 300; // max points drawn per series before min/avg/max bucketing
+const Y_AXIS_WIDTH  = 48;  // fixed so the latency and loss plots line up
+
+// A null point in the middle of each gap breaks the line instead of bridging it
+function withGapBreaks(data, gaps) {
+  if (gaps.length === 0) return data;
+  return [...data, ...gaps.map((g) => ({ x: (g.from + g.to) / 2, y: null }))].sort((a, b) => a.x - b.x);
+}
+
+// Bucketed series draw their min–max envelope behind the average line
+function buildSeries(points, bucketed, gaps, key, label, color, fillColor) {
+  const line = (stat) => withGapBreaks(points.map((p) => ({ x: p.t, y: p[key][stat] })), gaps);
+  const avg = {
+    label,
+    metric: key,
+    data: line('avg'),
+    borderColor: color,
+    backgroundColor: fillColor,
+    fill: !bucketed,
+    tension: 0.4,
+    pointRadius: 0,
+    borderWidth: 2,
   };
+  if (!bucketed) return [avg];
+  const envelope = { range: true, pointRadius: 0, borderWidth: 0, tension: 0.4 };
+  return [
+    { ...envelope, label: `${label} max`, data: line('max'), fill: false },
+    { ...envelope, label: `${label} min`, data: line('min'), fill: '-1', backgroundColor: fillColor },
+    avg,
+  ];
+}
 
-  const options = {
+function chartOptions({ points, bucketed, gaps, synthetic, range, limits, bands, markers, unit, legend, onViewChange, y = {} }) {
+  return {
     responsive: true,
     maintainAspectRatio: false,
-    animation: { duration: 300 },
+    animation: bucketed ? false : { duration: 300 },
     scales: {
       x: {
-        ticks: { color: '#64748b', maxTicksLimit: 10, font: { size: 11 } },
+        type: 'linear',
+        min: range.min,
+        max: range.max,
+        ticks: { color: '#64748b', maxTicksLimit: 10, font: { size: 11 }, callback: (v) => formatClock(v) },
         grid: { color: 'rgba(148,163,184,0.08)' },
       },
       y: {
-        min: 0,
-        max: 200,
+        beginAtZero: true,
+        grace: '10%',
         ticks: { color: '#64748b', font: { size: 11 } },
         grid: { color: 'rgba(148,163,184,0.08)' },
-        title: { display: true, text: 'ms', color: '#64748b', font: { size: 11 } },
+        title: { display: true, text: unit, color: '#64748b', font: { size: 11 } },
+        afterFit: (scale) => { scale.width = Y_AXIS_WIDTH; },
+        ...y,
       },
     },
     plugins: {
+      colorBands: { bands },
+      eventMarkers: { markers, labels: legend },
+      gapRegions: { gaps },
+      syntheticRegions: { regions: synthetic },
       legend: {
-        labels: { color: '#94a3b8', usePointStyle: true, pointStyleWidth: 8, font: { size: 12 } },
+        display: legend,
+        labels: {
+          color: '#94a3b8',
+          usePointStyle: true,
+          pointStyleWidth: 8,
+          font: { size: 12 },
+          filter: (item, chartData) => !chartData.datasets[item.datasetIndex].range,
+        },
       },
       tooltip: {
         backgroundColor: 'rgba(15,23,42,0.9)',
@@ -290,20 +503,215 @@ function SeismographChart({ jitterData, latencyData, labels }) {
         bodyColor: '#94a3b8',
         borderColor: 'rgba(148,163,184,0.2)',
         borderWidth: 1,
+        filter: (item) => !item.dataset.range,
+        callbacks: {
+          title: (items) => (items.length ? formatClock(items[0].parsed.x) : ''),
+          label: (item) => {
+            const p = points.find((q) => q.t === item.parsed.x);
+            const key = item.dataset.metric;
+            const digits = key === 'loss' ? 2 : 1;
+            const base = `${item.dataset.label}: ${item.parsed.y.toFixed(digits)}`;
+            return bucketed ? `${base} (min ${p[key].min.toFixed(digits)}, max ${p[key].max.toFixed(digits)})` : base;
+          },
+          footer: (items) => {
+            const p = items.length ? points.find((q) => q.t === items[0].parsed.x) : null;
+            if (!p) return '';
+            const made = p.real === 1 ? 'measured' : p.real === 0 ? 'synthetic' : `${formatShare(p.real)} measured`;
+            return `Source: ${sourceLabel(p.source)} (${made})`;
+          },
+        },
+      },
+      zoom: {
+        limits: { x: { ...limits, minRange: 5000 } },
+        pan:  { enabled: true, mode: 'x', modifierKey: 'shift', onPanComplete: onViewChange },
+        zoom: {
+          mode: 'x',
+          drag:  { enabled: true, backgroundColor: 'rgba(56,189,248,0.15)' },
+          wheel: { enabled: true, modifierKey: 'ctrl' },
+          onZoomComplete: onViewChange,
+        },
       },
     },
   };
+}
+
+function SeismographChart({ samples, profile, markers = [], defaultWindow = '1m' }) {
+  const [windowId,  setWindowId]  = useState(defaultWindow);
+  const [zoomRange, setZoomRange] = useState(null); // { min, max } once the user zooms or pans
+
+  const firstT = samples[0]?.t ?? 0;
+  const lastT  = samples[samples.length - 1]?.t ?? 0;
+  const { ms } = TIME_WINDOWS.find((w) => w.id === windowId);
+  const range = zoomRange ?? { min: ms ? Math.max(firstT, lastT - ms) : firstT, max: lastT };
+  const visible = samples.filter((p) => p.t >= range.min && p.t <= range.max);
+  const { points, bucketed } = downsample(visible, ['rtt', 'jitter', 'loss'], CHART_BUCKETS);
+  const gaps = sampleGaps(visible);
+  const missed = gaps.reduce((n, g) => n + g.missed, 0);
+  const synthetic = syntheticStretches(visible, { interval: POLL_INTERVAL });
+  const real = realShare(visible);
+
+  // Both plots share one x-range, so zooming or panning either moves both
+  const onViewChange = ({ chart }) => setZoomRange({ min: chart.scales.x.min, max: chart.scales.x.max });
+  const common = { points, bucketed, gaps, synthetic, range, markers, limits: { min: firstT, max: lastT }, onViewChange };
+
+  const latencyData = {
+    datasets: [
+      ...buildSeries(points, bucketed, gaps, 'jitter', 'Jitter (ms)',  '#a78bfa', 'rgba(167,139,250,0.15)'),
+      ...buildSeries(points, bucketed, gaps, 'rtt',    'Latency (ms)', '#38bdf8', 'rgba(56,189,248,0.08)'),
+    ],
+  };
+  const lossData = {
+    datasets: buildSeries(points, bucketed, gaps, 'loss', 'Packet loss (%)', '#f87171', 'rgba(248,113,113,0.15)'),
+  };
+
+  return (
+    <div>
+      <div className="mb-2 flex flex-wrap items-center gap-2">
+        <div className="flex overflow-hidden rounded-lg border border-slate-700">
+          {TIME_WINDOWS.map((w) => (
+            <button
+              key={w.id}
+              onClick={() => { setWindowId(w.id); setZoomRange(null); }}
+              className={`px-2.5 py-1 text-xs font-semibold ${
+                w.id === windowId && !zoomRange ? 'bg-violet-500/30 text-violet-200' : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              {w.label}
+            </button>
+          ))}
+        </div>
+        {zoomRange && (
+          <button
+            onClick={() => setZoomRange(null)}
+            className="rounded-lg border border-slate-700 px-2.5 py-1 text-xs font-semibold text-slate-300 hover:bg-slate-700"
+          >
+            Reset zoom
+          </button>
+        )}
+        {gaps.length > 0 && (
+          <span
+            className="rounded-lg border border-slate-600 bg-slate-700/40 px-2.5 py-1 text-xs font-semibold text-slate-300"
+            title="Poll intervals with no sample, e.g. while the machine slept. Shaded grey on the chart."
+          >
+            {gaps.length} {gaps.length === 1 ? 'gap' : 'gaps'} · {missed} missed
+          </span>
+        )}
+        {real != null && real < 1 && (
+          <span
+            className="rounded-lg border border-amber-500/40 bg-amber-500/10 px-2.5 py-1 text-xs font-semibold text-amber-300"
+            title="Share of samples in view that were really measured. Synthetic stretches are tinted amber; hatched where the chosen source went quiet and the simulator filled in."
+          >
+            {formatShare(real)} measured
+          </span>
+        )}
+        <span className="text-xs text-slate-500">
+          {bucketed && 'min/avg/max buckets · '}Drag to zoom · Shift+drag to pan · Ctrl+wheel to zoom
+        </span>
+      </div>
+      <div style={{ height: 220 }}>
+        <Line data={latencyData} options={chartOptions({ ...common, bands: zoneBands(profile.bands), unit: 'ms', legend: true })} />
+      </div>
+      <div style={{ height: 110 }}>
+        <Line
+          data={lossData}
+          options={chartOptions({
+            ...common,
+            bands: zoneBands(profile.thresholds.loss),
+            unit: 'loss %',
+            legend: false,
+            // Keep the warning band in view even on a clean link
+            y: { suggestedMax: profile.thresholds.loss.warn * 1.5 },
+          })}
+        />
+      </div>
+    </div>
+  );
+}
+
+// ─── Spike Findings ───────────────────────────────────────────────────────────
+function SpikeFindings({ analysis }) {
+  const counts = Object.keys(SPIKE_METRICS)
+    .map((m) => ({ m, n: analysis.spikes.filter((s) => s.metric === m).length }))
+    .filter((c) => c.n > 0);
+  if (counts.length === 0) return null;
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+      {analysis.patterns.map((p) => (
+        <span
+          key={p.metric}
+          className="flex items-center gap-1 rounded-md border border-orange-500/30 bg-orange-500/15 px-2 py-1 font-semibold text-orange-300"
+          title={`${p.repeats} spikes at this spacing · ${Math.round(p.strength * 100)}% autocorrelation`}
+        >
+          <Repeat className="h-3 w-3" />
+          {p.text}
+        </span>
+      ))}
+      <span className="text-slate-500">
+        Spikes vs rolling baseline:{' '}
+        {counts.map(({ m, n }) => (
+          <span key={m} className="mr-2">
+            <span className="inline-block h-0 w-0 border-x-4 border-t-[6px] border-x-transparent align-middle" style={{ borderTopColor: SPIKE_COLORS[m] }} />
+            {' '}{n} {SPIKE_METRICS[m].label.toLowerCase()}
+          </span>
+        ))}
+        {analysis.patterns.length === 0 && '· no regular pattern'}
+      </span>
+    </div>
+  );
+}
+
+// ─── Timeline Annotations ─────────────────────────────────────────────────────
+// Read-only when `onAdd` is missing (recorded sessions)
+function Annotations({ annotations, onAdd }) {
+  const [text, setText] = useState('');
+  const add = (label) => {
+    if (!label.trim()) return;
+    onAdd(label.trim());
+    setText('');
+  };
+  if (!onAdd && annotations.length === 0) return null;
 
   return (
-    <div style={{ height: 220 }}>
-      <Line data={data} options={options} />
+    <div className="mt-4 space-y-2 text-xs">
+      {onAdd && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Flag className="h-4 w-4 text-amber-400" />
+          <form onSubmit={(e) => { e.preventDefault(); add(text); }} className="flex items-center gap-2">
+            <input
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="Mark this moment…"
+              className="w-48 rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-slate-200"
+            />
+            <button type="submit" className="rounded-md border border-amber-500/40 bg-amber-600/20 px-2 py-1 font-semibold text-amber-300 hover:bg-amber-600/30">
+              Add marker
+            </button>
+          </form>
+          {QUICK_NOTES.map((note) => (
+            <button key={note} onClick={() => add(note)} className="rounded-md border border-slate-600/40 px-2 py-1 text-slate-300 hover:bg-slate-700">
+              {note}
+            </button>
+          ))}
+        </div>
+      )}
+      {annotations.length > 0 && (
+        <ul className="max-h-32 space-y-0.5 overflow-y-auto">
+          {annotations.slice().reverse().map((a) => (
+            <li key={`${a.t}-${a.kind}-${a.label}`} className="flex items-center gap-2 text-slate-400">
+              <span className="inline-block h-2 w-2 shrink-0 rounded-full" style={{ background: ANNOTATION_KINDS[a.kind]?.color }} />
+              <span className="text-slate-500">{formatClock(a.t)}</span>
+              <span className={a.kind === 'note' ? 'text-slate-200' : ''}>{a.label}</span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
 // ─── Readiness Gauge ─────────────────────────────────────────────────────────
-function ReadinessMeter({ score }) {
-  const health = score >= 75 ? 'good' : score >= 40 ? 'warning' : 'critical';
+function ReadinessMeter({ score, throughput, app }) {
+  const health = readinessHealth(score);
   const hs = HEALTH_STYLES[health];
   const pct = score / 100;
   const circumference = 2 * Math.PI * 54;
@@ -338,29 +746,65 @@ function ReadinessMeter({ score }) {
         </div>
       </div>
       <span className={`text-sm font-semibold uppercase tracking-widest ${hs.text}`}>
-        {score >= 75 ? 'Ready for Zoom' : score >= 40 ? 'Marginal Quality' : 'Not Ready'}
+        {score >= 75 ? `Ready for ${app}` : score >= 40 ? 'Marginal Quality' : 'Not Ready'}
       </span>
+      {throughput && (
+        <div className="flex max-w-xs flex-wrap justify-center gap-1">
+          {supportedTiers(throughput).map(({ label, ok }) => (
+            <span
+              key={label}
+              className={`flex items-center gap-1 rounded-md border px-1.5 py-0.5 text-[10px] font-semibold ${
+                ok ? 'border-green-500/40 text-green-400' : 'border-red-500/40 text-red-400'
+              }`}
+              title={ok ? `${label} supported` : `${label} not supported`}
+            >
+              {ok ? <CheckCircle className="h-2.5 w-2.5" /> : <XCircle className="h-2.5 w-2.5" />}
+              {label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Voice Quality (E-model) ─────────────────────────────────────────────────
+function VoiceQuality({ quality }) {
+  const hs = HEALTH_STYLES[quality.health];
+  return (
+    <div className={`w-full rounded-xl border px-4 py-2 ${hs.bg} ${hs.border}`} title="ITU-T G.107 E-model estimate for a G.711 call with PLC">
+      <div className="flex items-baseline justify-between">
+        <span className="text-xs font-semibold uppercase tracking-wider text-slate-400">Voice MOS</span>
+        <span className="text-xs text-slate-400">R-factor <span className="font-bold text-white">{quality.r.toFixed(0)}</span></span>
+      </div>
+      <div className="flex items-baseline justify-between">
+        <span className="text-2xl font-black text-white">{quality.mos.toFixed(2)}</span>
+        <span className={`text-xs font-semibold ${hs.text}`}>{quality.label}</span>
+      </div>
     </div>
   );
 }
 
 // ─── Legend ───────────────────────────────────────────────────────────────────
-const LEGEND_ITEMS = [
-  { color: 'bg-green-500',  label: 'RTT < 100ms / Jitter < 20ms',     note: 'Crystal-clear audio & video' },
-  { color: 'bg-yellow-400', label: 'RTT 100–200ms / Jitter 20–50ms',  note: 'Audio might clip briefly' },
-  { color: 'bg-red-500',    label: 'RTT > 200ms / Jitter > 50ms',     note: 'Video will freeze / drop' },
-  { color: 'bg-red-700',    label: 'Packet Loss > 2%',                note: 'Call will degrade significantly' },
-];
+function legendItems({ thresholds: { rtt, jitter, loss }, notes }) {
+  return [
+    { color: 'bg-green-500',  label: `RTT < ${rtt.good}ms / Jitter < ${jitter.good}ms`,                             note: notes[0] },
+    { color: 'bg-yellow-400', label: `RTT ${rtt.good}–${rtt.warn}ms / Jitter ${jitter.good}–${jitter.warn}ms`,     note: notes[1] },
+    { color: 'bg-red-500',    label: `RTT > ${rtt.warn}ms / Jitter > ${jitter.warn}ms`,                             note: notes[2] },
+    { color: 'bg-red-700',    label: `Packet Loss > ${loss.warn}%`,                                                 note: notes[3] },
+  ];
+}
 
-function PersistentLegend() {
+function PersistentLegend({ profile }) {
   return (
     <div className="rounded-xl border border-slate-700/50 bg-slate-800/50 p-4">
       <div className="mb-3 flex items-center gap-2">
         <Info className="h-4 w-4 text-slate-400" />
         <span className="text-sm font-semibold text-slate-300 uppercase tracking-wider">Signal Guide</span>
+        <span className="text-xs text-slate-500">({profile.name})</span>
       </div>
       <div className="space-y-2">
-        {LEGEND_ITEMS.map(({ color, label, note }) => (
+        {legendItems(profile).map(({ color, label, note }) => (
           <div key={label} className="flex items-start gap-3">
             <span className={`mt-1 h-3 w-3 shrink-0 rounded-full ${color}`} />
             <div>
@@ -374,6 +818,414 @@ function PersistentLegend() {
   );
 }
 
+// ─── Statistics ───────────────────────────────────────────────────────────────
+const fmtMs = (v) => `${v.toFixed(0)} ms`;
+
+function StatsGrid({ stats }) {
+  const { label, health } = stabilityLabel(stats.stability);
+  const hs = HEALTH_STYLES[health];
+  const cells = [
+    { title: 'RTT p50 / p95 / p99',    value: `${stats.rtt.p50.toFixed(0)} / ${stats.rtt.p95.toFixed(0)} / ${stats.rtt.p99.toFixed(0)} ms`, sub: `σ ${fmtMs(stats.rtt.stddev)}` },
+    { title: 'Jitter p50 / p95 / p99', value: `${stats.jitter.p50.toFixed(0)} / ${stats.jitter.p95.toFixed(0)} / ${stats.jitter.p99.toFixed(0)} ms`, sub: `σ ${fmtMs(stats.jitter.stddev)}` },
+    {
+      title: 'Loss bursts',
+      value: stats.loss.bursts === 0 ? 'None' : `${stats.loss.bursts} × avg ${stats.loss.meanBurst.toFixed(1)} s`,
+      sub:   stats.loss.bursts === 0 ? 'No sample above the loss floor' : `Longest ${stats.loss.longestBurst.toFixed(0)} s`,
+    },
+    { title: 'Longest clean streak', value: formatDuration(stats.cleanStreak * 1000), sub: 'Without packet loss' },
+  ];
+  return (
+    <div className="grid grid-cols-2 gap-3 text-xs sm:grid-cols-5">
+      {cells.map((c) => (
+        <div key={c.title}>
+          <p className="mb-1 font-semibold uppercase tracking-wider text-slate-400">{c.title}</p>
+          <p className="font-bold text-white">{c.value}</p>
+          <p className="text-slate-500">{c.sub}</p>
+        </div>
+      ))}
+      <div title="100 minus penalties for RTT variability, tail latency and time spent in loss bursts">
+        <p className="mb-1 font-semibold uppercase tracking-wider text-slate-400">Stability</p>
+        <p className="font-bold text-white">{stats.stability} <span className="text-slate-400">/ 100</span></p>
+        <p className={hs.text}>{label}</p>
+      </div>
+    </div>
+  );
+}
+
+function StatisticsPanel({ samples, defaultWindow = '5m' }) {
+  const [windowId, setWindowId] = useState(defaultWindow);
+  const { ms: span } = TIME_WINDOWS.find((w) => w.id === windowId);
+  const lastT = samples[samples.length - 1]?.t ?? 0;
+  const stats = summarize(span ? samples.filter((s) => s.t > lastT - span) : samples);
+
+  return (
+    <div className="rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
+      <div className="mb-4 flex flex-wrap items-center gap-2">
+        <Sigma className="h-5 w-5 text-sky-400" />
+        <h2 className="font-bold text-slate-200">Statistics</h2>
+        {stats && <span className="text-xs text-slate-500">({stats.count} samples)</span>}
+        <div className="ml-auto flex overflow-hidden rounded-lg border border-slate-700">
+          {TIME_WINDOWS.map((w) => (
+            <button
+              key={w.id}
+              onClick={() => setWindowId(w.id)}
+              className={`px-2.5 py-1 text-xs font-semibold ${
+                w.id === windowId ? 'bg-sky-500/30 text-sky-200' : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              {w.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {stats ? <StatsGrid stats={stats} /> : <p className="text-sm text-slate-500">No samples yet.</p>}
+    </div>
+  );
+}
+
+// ─── Troubleshooting Advisor ──────────────────────────────────────────────────
+const SEVERITY_STYLES = {
+  high:   { label: 'High',   className: 'border-red-500/40 bg-red-500/15 text-red-300' },
+  medium: { label: 'Medium', className: 'border-yellow-500/40 bg-yellow-500/15 text-yellow-300' },
+  low:    { label: 'Low',    className: 'border-slate-500/40 bg-slate-500/15 text-slate-300' },
+};
+
+function AdvisorPanel({ advice, enoughData }) {
+  return (
+    <div className="rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
+      <div className="mb-4 flex items-center gap-2">
+        <Lightbulb className="h-5 w-5 text-yellow-300" />
+        <h2 className="font-bold text-slate-200">Troubleshooting Advisor</h2>
+      </div>
+      {advice.length === 0 ? (
+        <p className="flex items-center gap-2 text-sm text-slate-500">
+          {enoughData ? <><CheckCircle className="h-4 w-4 text-green-400" />Nothing to fix so far.</> : 'Collecting data…'}
+        </p>
+      ) : (
+        <ol className="space-y-3">
+          {advice.map((a) => (
+            <li key={a.id} className="rounded-xl border border-slate-700/50 bg-slate-900/30 p-4">
+              <div className="flex items-start gap-2">
+                <span className={`shrink-0 rounded-md border px-1.5 py-0.5 text-[10px] font-bold uppercase tracking-wider ${SEVERITY_STYLES[a.severity].className}`}>
+                  {SEVERITY_STYLES[a.severity].label}
+                </span>
+                <p className="text-sm font-semibold text-slate-200">{a.title}</p>
+              </div>
+              <p className="mt-2 text-sm text-slate-300">{a.advice}</p>
+              <ul className="mt-2 space-y-0.5 text-xs text-slate-500">
+                {a.evidence.map((e) => <li key={e}>Evidence: {e}</li>)}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// ─── ICE / NAT Diagnostics ────────────────────────────────────────────────────
+const CANDIDATE_LABELS = { host: 'Host', srflx: 'Server-reflexive', prflx: 'Peer-reflexive', relay: 'Relay' };
+
+function IcePanel({ servers, report, checking, error, onServersChange, onRun }) {
+  const [draft, setDraft] = useState(null); // server list text while editing
+  const verdictHealth = report?.udpReachable === false ? 'critical' : report?.natType === 'symmetric' ? 'warning' : 'good';
+
+  return (
+    <div className="rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
+      <div className="mb-4 flex items-center gap-2">
+        <Network className="h-5 w-5 text-teal-400" />
+        <h2 className="font-bold text-slate-200">Connectivity (ICE / NAT)</h2>
+        <button
+          onClick={onRun}
+          disabled={checking}
+          className="ml-auto rounded-lg border border-teal-500/40 bg-teal-600/20 px-3 py-1.5 text-xs font-semibold text-teal-300 hover:bg-teal-600/30 disabled:opacity-50"
+        >
+          {checking ? 'Gathering candidates…' : 'Run ICE check'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-2 text-xs text-slate-400">
+          <label className="flex flex-col gap-1">
+            STUN / TURN servers, one per line
+            <textarea
+              rows={5}
+              value={draft ?? serverLines(servers)}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder={'stun:stun.l.google.com:19302\nstun:localhost:3478\nturn:turn.example.com:443?transport=tcp user pass'}
+              className="rounded-md border border-slate-600 bg-slate-800 px-2 py-1 font-mono text-slate-200"
+            />
+          </label>
+          {draft != null && (
+            <div className="flex gap-2">
+              <button
+                onClick={() => { onServersChange(parseServerLines(draft)); setDraft(null); }}
+                className="rounded-lg bg-teal-600 px-3 py-1.5 font-semibold text-white hover:bg-teal-500"
+              >
+                Save servers
+              </button>
+              <button onClick={() => setDraft(null)} className="rounded-lg border border-slate-600/40 px-3 py-1.5 font-semibold text-slate-300 hover:bg-slate-700">
+                Cancel
+              </button>
+            </div>
+          )}
+          <p className="text-slate-500">
+            TURN lines take a username and credential after the URL. <code>npm run server</code> answers STUN on UDP 3478 and 3479.
+          </p>
+        </div>
+
+        <div className="space-y-3 text-xs lg:col-span-2">
+          {error && (
+            <p className="flex items-center gap-1 text-red-400">
+              <AlertTriangle className="h-3 w-3 shrink-0" />
+              {error}
+            </p>
+          )}
+          {!report && !error && <p className="text-slate-500">Run the check, or monitor with the WebRTC STUN source, to see how calls can get out of this network.</p>}
+          {report && (
+            <>
+              <p className={`text-sm font-semibold ${HEALTH_STYLES[verdictHealth].text}`}>{report.verdict}</p>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(report.counts).map(([type, n]) => (
+                  <span key={type} className={`rounded-md border px-2 py-1 ${n > 0 ? 'border-teal-500/40 text-teal-200' : 'border-slate-700 text-slate-500'}`}>
+                    {CANDIDATE_LABELS[type]}: <span className="font-bold">{n}</span>
+                  </span>
+                ))}
+                {report.relayProtocols.length > 0 && (
+                  <span className="rounded-md border border-slate-700 px-2 py-1 text-slate-300">Relay via {report.relayProtocols.join(', ').toUpperCase()}</span>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+                <div>
+                  <p className="mb-1 font-semibold uppercase tracking-wider text-slate-400">NAT mapping</p>
+                  <p className="text-white">{NAT_TYPES[report.natType]}</p>
+                </div>
+                <div>
+                  <p className="mb-1 font-semibold uppercase tracking-wider text-slate-400">Gathering</p>
+                  <p className="text-white">{formatDuration(report.gatherMs)}{report.complete ? '' : ' (timed out)'}</p>
+                  {report.firstSrflxMs != null && <p className="text-slate-500">First reflexive after {report.firstSrflxMs.toFixed(0)} ms</p>}
+                </div>
+                <div>
+                  <p className="mb-1 font-semibold uppercase tracking-wider text-slate-400">Checked</p>
+                  <p className="text-white">{new Date(report.at).toLocaleTimeString()}</p>
+                </div>
+              </div>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left uppercase tracking-wider text-slate-500">
+                    <th className="py-1 font-semibold">Server</th>
+                    <th className="font-semibold">Public mapping</th>
+                    <th className="font-semibold">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.servers.map((srv) => (
+                    <tr key={srv.url} className="border-t border-slate-700/50">
+                      <td className="py-1 font-mono text-slate-300">{srv.url}</td>
+                      <td className="text-slate-200">{srv.mapped.length ? srv.mapped.join(', ') : <span className="text-slate-500">No candidate (no response, or same as above)</span>}</td>
+                      <td className="text-slate-400">{srv.firstMs != null ? `${srv.firstMs.toFixed(0)} ms` : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Media Quality ────────────────────────────────────────────────────────────
+const LIMITATION_LABELS = { none: 'None', cpu: 'CPU', bandwidth: 'Bandwidth', other: 'Other' };
+
+function MediaQuality({ current, summary, starting, left, error, onRun }) {
+  const running = left > 0;
+  const m = current ?? summary;
+  const limited = m && (current ? current.qualityLimitationReason !== 'none' : summary.limitedShare >= 30);
+
+  return (
+    <div className="space-y-3 border-t border-slate-700/50 pt-3">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold uppercase tracking-widest text-slate-400">Media Quality</p>
+        <button
+          onClick={onRun}
+          disabled={starting || running}
+          className="rounded-lg border border-fuchsia-500/40 bg-fuchsia-600/20 px-2 py-1 text-xs font-semibold text-fuchsia-300 hover:bg-fuchsia-600/30 disabled:opacity-50"
+        >
+          {starting ? 'Starting…' : running ? `Testing… ${left}s` : 'Run media test'}
+        </button>
+      </div>
+      {error && (
+        <p className="flex items-center gap-1 text-xs text-red-400">
+          <AlertTriangle className="h-3 w-3 shrink-0" />
+          {error}
+        </p>
+      )}
+      {!m && !error && (
+        <p className="text-xs text-slate-500">
+          Streams a generated 720p video and a test tone between two local peers to check this machine can encode a call.
+        </p>
+      )}
+      {m && (
+        <>
+          <div className="grid grid-cols-2 gap-3">
+            <MetricCard icon={Video} label="Video" value={m.videoKbps / 1000} unit="Mbps" digits={2} health={m.videoKbps >= 1000 ? 'good' : m.videoKbps >= 300 ? 'warning' : 'critical'} />
+            <MetricCard icon={Film}  label="Frame rate" value={m.sentFps} unit="fps" digits={0} health={m.sentFps >= 25 ? 'good' : m.sentFps >= 15 ? 'warning' : 'critical'} />
+          </div>
+          <MetricCard icon={Mic} label="Audio concealment" value={m.concealment} unit="%" health={m.concealment < 1 ? 'good' : m.concealment < 5 ? 'warning' : 'critical'} />
+          <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+            <span className="text-slate-400">Resolution</span>
+            <span className="text-right text-slate-200">{m.width}×{m.height}</span>
+            <span className="text-slate-400">Received</span>
+            <span className="text-right text-slate-200">{m.receivedFps.toFixed(0)} fps · {m.audioKbps.toFixed(0)} kbps audio</span>
+            <span className="text-slate-400">Limited by</span>
+            <span className={`text-right ${limited ? 'text-yellow-300' : 'text-slate-200'}`}>
+              {current
+                ? LIMITATION_LABELS[current.qualityLimitationReason] ?? current.qualityLimitationReason
+                : summary.limitedBy.length ? `${summary.limitedBy.map((r) => LIMITATION_LABELS[r] ?? r).join(', ')} (${summary.limitedShare.toFixed(0)}%)` : 'None'}
+            </span>
+            <span className="text-slate-400">Frames dropped</span>
+            <span className="text-right text-slate-200">{m.framesDropped}</span>
+            <span className="text-slate-400">NACK / PLI</span>
+            <span className="text-right text-slate-200">{m.nackCount} / {m.pliCount}</span>
+          </div>
+          {!current && <p className="text-xs text-slate-500">Average of a {summary.samples}s test.</p>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Scheduled Checks ─────────────────────────────────────────────────────────
+function slotLabel({ day, hour }) {
+  return `${WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00`;
+}
+
+function ScheduledChecks({ schedule, checks, running, lastRunAt, error, onChange, onRunNow, onClear }) {
+  const grid = checkHeatmap(checks);
+  const best = bestSlots(grid);
+  const last = checks[checks.length - 1];
+  const unmeasured = checks.filter((c) => !c.measured).length;
+  const nextAt = schedule.enabled && lastRunAt ? lastRunAt + schedule.everyMin * 60_000 : null;
+  const selectClass = 'rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-slate-200';
+
+  return (
+    <div className="rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
+      <div className="mb-4 flex flex-wrap items-center gap-2">
+        <CalendarClock className="h-5 w-5 text-indigo-400" />
+        <h2 className="font-bold text-slate-200">Scheduled Checks</h2>
+        <span className="text-xs text-slate-500">{checks.length} stored</span>
+        <div className="ml-auto flex items-center gap-2">
+          <button
+            onClick={onRunNow}
+            disabled={running}
+            className="rounded-lg border border-indigo-500/40 bg-indigo-600/20 px-3 py-1.5 text-xs font-semibold text-indigo-300 hover:bg-indigo-600/30 disabled:opacity-50"
+          >
+            {running ? 'Checking…' : 'Check now'}
+          </button>
+          {checks.length > 0 && (
+            <button onClick={onClear} className="rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-red-300" title="Delete all stored checks">
+              <Trash2 className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="mb-4 flex flex-wrap items-center gap-4 text-xs text-slate-400">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={schedule.enabled} onChange={(e) => onChange({ ...schedule, enabled: e.target.checked })} />
+          Run a check while the app is open
+        </label>
+        <label className="flex items-center gap-2">
+          every
+          <select value={schedule.everyMin} onChange={(e) => onChange({ ...schedule, everyMin: Number(e.target.value) })} className={selectClass}>
+            {CHECK_INTERVALS.map((m) => <option key={m} value={m}>{m} min</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          for
+          <select value={schedule.burstSec} onChange={(e) => onChange({ ...schedule, burstSec: Number(e.target.value) })} className={selectClass}>
+            {CHECK_DURATIONS.map((sec) => <option key={sec} value={sec}>{sec} s</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={schedule.underLoad} onChange={(e) => onChange({ ...schedule, underLoad: e.target.checked })} />
+          Under load
+        </label>
+        {nextAt && !running && <span className="text-slate-500">Next around {formatClock(nextAt)}</span>}
+      </div>
+
+      {error && (
+        <p className="mb-3 flex items-center gap-1 text-xs text-red-400">
+          <AlertTriangle className="h-3 w-3 shrink-0" />
+          {error}
+        </p>
+      )}
+
+      {checks.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          No checks yet. Leave scheduling on during the working week and this fills in with readiness by hour and weekday.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          <div className="overflow-x-auto">
+            <table className="text-[10px] text-slate-500">
+              <thead>
+                <tr>
+                  <th />
+                  {grid[0].map((_, hour) => <th key={hour} className="w-6 font-normal">{hour % 3 === 0 ? hour : ''}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {grid.map((row, day) => (
+                  <tr key={WEEKDAYS[day]}>
+                    <td className="pr-2 text-right">{WEEKDAYS[day]}</td>
+                    {row.map((cell, hour) => (
+                      <td key={hour} className="p-px">
+                        <div
+                          className="h-5 w-6 rounded-sm"
+                          style={cell.count > 0
+                            ? { background: HEALTH_STYLES[readinessHealth(cell.score)].color, opacity: 0.35 + 0.65 * Math.min(cell.count, 4) / 4 }
+                            : { background: 'rgba(148,163,184,0.08)' }}
+                          title={cell.count > 0
+                            ? `${slotLabel({ day, hour })} — average ${cell.score.toFixed(0)}, worst ${cell.worst.toFixed(0)} over ${cell.count} check${cell.count === 1 ? '' : 's'}`
+                            : `${slotLabel({ day, hour })} — no checks`}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-500">
+            Readiness score by local hour. Fainter cells have fewer checks behind them.
+            {unmeasured > 0 && (
+              <span className="text-amber-300">
+                {' '}{unmeasured} check{unmeasured === 1 ? '' : 's'} from simulated data (a synthetic source, or the simulator filling in) {unmeasured === 1 ? 'is' : 'are'} left out.
+              </span>
+            )}
+          </p>
+          <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs">
+            {best.length > 0 && (
+              <span className="text-slate-300">
+                Best slots: {best.map((b) => `${slotLabel(b)} (${b.score.toFixed(0)})`).join(', ')}
+              </span>
+            )}
+            {last && (
+              <span className="text-slate-400">
+                Last check {new Date(last.at).toLocaleString()}: score <span className={HEALTH_STYLES[readinessHealth(last.score)].text}>{last.score.toFixed(0)}</span>
+                {' '}· {last.avgRtt.toFixed(0)} ms RTT · {last.avgLoss.toFixed(1)}% loss{last.loaded ? ' · under load' : ''}{last.measured ? '' : ' · simulated, not in the heatmap'}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ─── Stress Test History ──────────────────────────────────────────────────────
 function StressTestHistory({ results }) {
   if (results.length === 0) return null;
@@ -399,12 +1251,17 @@ function StressTestHistory({ results }) {
                   <span className="text-xs text-slate-500">{r.timestamp}</span>
                 </div>
                 <div className="flex items-center gap-1.5">
+                  {r.mos != null && (
+                    <span className="mr-2 text-xs text-slate-400" title={`E-model R-factor ${r.r.toFixed(0)}`}>
+                      MOS <span className="font-bold text-white">{r.mos.toFixed(2)}</span> · R {r.r.toFixed(0)}
+                    </span>
+                  )}
                   <span className={`text-sm font-semibold ${hs.text}`}>{hs.label}</span>
                   <span className="text-xl font-black text-white">{r.score}</span>
                   <span className="text-xs text-slate-400">/ 100</span>
                 </div>
               </div>
-              <div className="grid grid-cols-3 gap-3 text-xs">
+              <div className="grid grid-cols-2 gap-3 text-xs sm:grid-cols-4">
                 <div>
                   <p className="text-slate-400 font-semibold mb-1 uppercase tracking-wider">Latency (RTT)</p>
                   <p className="text-white">Avg: <span className="font-bold">{r.avgRtt.toFixed(0)} ms</span></p>
@@ -420,8 +1277,29 @@ function StressTestHistory({ results }) {
                   <p className="text-white">Avg: <span className="font-bold">{r.avgLoss.toFixed(2)}%</span></p>
                   <p className="text-slate-400">Max: {r.maxLoss.toFixed(2)}%</p>
                 </div>
+                <div>
+                  <p className="text-slate-400 font-semibold mb-1 uppercase tracking-wider">Bufferbloat</p>
+                  {r.grade ? (
+                    <>
+                      <p className="text-white">Grade: <span className="font-bold">{r.grade}</span> <span className="text-slate-400">(+{r.bloat.toFixed(0)} ms)</span></p>
+                      <p className="text-slate-400">Idle {r.idleRtt.toFixed(0)} → loaded {r.avgRtt.toFixed(0)} ms</p>
+                    </>
+                  ) : (
+                    <p className="text-slate-500">{r.loaded ? 'No idle baseline' : 'Not loaded (synthetic source)'}</p>
+                  )}
+                </div>
               </div>
-              <p className="text-xs text-slate-500 mt-2">{r.samples} samples over {r.duration}s</p>
+              {r.stats && (
+                <div className="mt-3 border-t border-slate-700/50 pt-3">
+                  <StatsGrid stats={r.stats} />
+                </div>
+              )}
+              <p className="text-xs text-slate-500 mt-2">
+                {r.samples} samples over {r.duration}s
+                {r.real != null && (
+                  <span className={r.real < 1 ? 'text-amber-300' : ''}> · {formatShare(r.real)} real measurements</span>
+                )}
+              </p>
             </div>
           );
         })}
@@ -430,157 +1308,1454 @@ function StressTestHistory({ results }) {
   );
 }
 
-// ─── Main App ─────────────────────────────────────────────────────────────────
-export default function App() {
-  const [running,           setRunning]           = useState(false);
-  const [stress,            setStress]            = useState(false);
-  const [stressLeft,        setStressLeft]        = useState(0);
-  const [metrics,           setMetrics]           = useState({ rtt: 0, jitter: 0, loss: 0 });
-  const [history,           setHistory]           = useState({ rtt: [], jitter: [], labels: [] });
-  const [probeReady,        setProbeReady]        = useState(false);
-  const [probeError,        setProbeError]        = useState(false);
-  const [stressTestResults, setStressTestResults] = useState([]);
-
-  const probeRef      = useRef(null);
-  const timerRef      = useRef(null);
-  const stressRef     = useRef(null);
-  const prevMetrics   = useRef(null);
-  const secondRef     = useRef(0);
-  const stressDataRef = useRef([]);
-
-  // ── Boot probe ──
-  const startProbe = useCallback(async () => {
-    setProbeError(false);
-    const p = new StunProbe();
-    probeRef.current = p;
-    try {
-      await p.start();
-      setProbeReady(true);
-    } catch {
-      setProbeError(true);
-    }
-  }, []);
-
-  // ── Poll loop ──
-  const tick = useCallback(async () => {
-    const isStress = stressRef.current;
-
-    let raw = null;
-    if (probeRef.current) {
-      raw = await probeRef.current.poll();
-    }
-
-    // If we got real stats augment them; otherwise fall back to simulation
-    let m;
-    if (raw && (raw.rtt > 0 || raw.jitter > 0)) {
-      m = {
-        rtt:    raw.rtt    + (isStress ? Math.random() * 120 : Math.random() * 20),
-        jitter: raw.jitter + (isStress ? Math.random() * 40  : Math.random() * 5),
-        loss:   raw.loss   + (isStress ? Math.random() * 3   : 0),
-      };
-    } else {
-      m = simulateMetrics(prevMetrics.current, isStress);
-    }
+// ─── Probe Source Picker ──────────────────────────────────────────────────────
+function SourcePicker({ sourceId, options, disabled, onSourceChange, onOptionsChange }) {
+  const { defaultEndpoint, defaultRate, defaultScenario } = PROBE_SOURCES[sourceId];
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={sourceId}
+        disabled={disabled}
+        onChange={(e) => onSourceChange(e.target.value)}
+        className="rounded-lg border border-slate-700 bg-slate-800 px-2 py-1.5 text-xs text-slate-300 disabled:opacity-50"
+        aria-label="Probe source"
+      >
+        {Object.entries(PROBE_SOURCES).map(([id, { label }]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      {defaultEndpoint != null && (
+        <input
+          type="url"
+          value={options.endpoint}
+          disabled={disabled}
+          onChange={(e) => onOptionsChange({ endpoint: e.target.value })}
+          className="hidden w-48 rounded-lg border border-slate-700 bg-slate-800 px-2 py-1.5 text-xs text-slate-300 disabled:opacity-50 md:block"
+          aria-label="Probe endpoint"
+        />
+      )}
+      {defaultRate != null && (
+        <select
+          value={options.rate}
+          disabled={disabled}
+          onChange={(e) => onOptionsChange({ rate: Number(e.target.value) })}
+          className="rounded-lg border border-slate-700 bg-slate-800 px-2 py-1.5 text-xs text-slate-300 disabled:opacity-50"
+          aria-label="Ping rate"
+        >
+          {PING_RATES.map((r) => <option key={r} value={r}>{r}/s</option>)}
+        </select>
+      )}
+      {defaultScenario != null && (
+        <>
+          <select
+            value={options.scenario}
+            disabled={disabled}
+            onChange={(e) => onOptionsChange({ scenario: e.target.value })}
+            className="rounded-lg border border-slate-700 bg-slate-800 px-2 py-1.5 text-xs text-slate-300 disabled:opacity-50"
+            aria-label="Scenario"
+            title={SCENARIOS[options.scenario]?.description}
+          >
+            {Object.entries(SCENARIOS).map(([id, { name }]) => <option key={id} value={id}>{name}</option>)}
+          </select>
+          <input
+            type="number"
+            value={options.seed}
+            disabled={disabled}
+            onChange={(e) => onOptionsChange({ seed: Number(e.target.value) })}
+            className="w-16 rounded-lg border border-slate-700 bg-slate-800 px-2 py-1.5 text-xs text-slate-300 disabled:opacity-50"
+            aria-label="Scenario seed"
+            title="Seed — the same scenario and seed replay the same run"
+          />
+        </>
+      )}
+    </div>
+  );
+}
 
-    prevMetrics.current = m;
-    setMetrics(m);
+// ─── Session Browser ──────────────────────────────────────────────────────────
+function SessionBrowser({ sessions, recordingId, sessionError, onOpen, onRename, onDelete, onImport }) {
+  const [editing, setEditing] = useState(null); // { id, name }
+  const fileRef = useRef(null);
 
-    if (isStress) {
-      stressDataRef.current.push(m);
-    }
+  const commitRename = () => {
+    const name = editing.name.trim();
+    if (name) onRename(editing.id, name);
+    setEditing(null);
+  };
 
-    const ts = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-    setHistory((h) => {
-      const add = (arr, v) => [...arr.slice(-MAX_POINTS + 1), v];
-      return {
-        rtt:    add(h.rtt,    m.rtt),
-        jitter: add(h.jitter, m.jitter),
-        labels: add(h.labels, ts),
-      };
+  return (
+    <div className="rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
+      <div className="mb-4 flex items-center gap-2">
+        <Database className="h-5 w-5 text-sky-400" />
+        <h2 className="font-bold text-slate-200">Recorded Sessions</h2>
+        <span className="text-xs text-slate-500">({sessions.length})</span>
+        <button
+          onClick={() => fileRef.current.click()}
+          className="ml-auto flex items-center gap-1.5 rounded-lg border border-slate-600/40 px-3 py-1.5 text-xs font-semibold text-slate-300 hover:bg-slate-700"
+        >
+          <FileUp className="h-3.5 w-3.5" />
+          Import JSON
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+      {sessionError && (
+        <p className="mb-3 flex items-center gap-1 text-xs text-red-400">
+          <AlertTriangle className="h-3 w-3 shrink-0" />
+          {sessionError}
+        </p>
+      )}
+      {sessions.length === 0 && (
+        <p className="text-sm text-slate-500">No sessions yet. Start monitoring to record one, or import a colleague's export.</p>
+      )}
+      <div className="max-h-80 overflow-y-auto space-y-2 pr-1" tabIndex={0}>
+        {sessions.map((s) => (
+          <div key={s.id} className="flex items-center justify-between gap-3 rounded-xl border border-slate-700/50 bg-slate-900/40 px-4 py-3">
+            <div className="min-w-0 flex-1">
+              {editing?.id === s.id ? (
+                <input
+                  autoFocus
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setEditing(null);
+                  }}
+                  className="w-full rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-sm text-slate-200"
+                  aria-label="Session name"
+                />
+              ) : (
+                <p className="truncate text-sm font-semibold text-slate-200">{s.name}</p>
+              )}
+              <p className="text-xs text-slate-500">
+                {new Date(s.startedAt).toLocaleString()} · {formatDuration(s.endedAt - s.startedAt)} · {s.sampleCount} samples
+                {s.stressTests.length > 0 && ` · ${s.stressTests.length} stress test${s.stressTests.length !== 1 ? 's' : ''}`}
+                {s.id === recordingId && <span className="ml-1 text-red-400">● recording</span>}
+              </p>
+            </div>
+            <div className="flex shrink-0 items-center gap-1">
+              <button onClick={() => onOpen(s.id)} className="rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200" title="Open">
+                <FolderOpen className="h-4 w-4" />
+              </button>
+              <button onClick={() => setEditing({ id: s.id, name: s.name })} className="rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200" title="Rename">
+                <Pencil className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => { if (window.confirm(`Delete "${s.name}"?`)) onDelete(s.id); }}
+                disabled={s.id === recordingId}
+                className="rounded-md p-1.5 text-slate-400 hover:bg-red-500/20 hover:text-red-400 disabled:opacity-30 disabled:hover:bg-transparent"
+                title="Delete"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── Replay controls ──────────────────────────────────────────────────────────
+function ReplayBar({ session, position, playing, speed, onPlayPause, onSeek, onSpeed, onExit }) {
+  const [dragTo, setDragTo] = useState(null); // while dragging; a seek rebuilds the dashboard, so it waits for the release
+  const { samples } = session;
+  const shown = dragTo ?? position;
+  const current = samples[Math.max(shown - 1, 0)];
+  const elapsed = current ? current.t - samples[0].t : 0;
+  const total = samples.length ? samples[samples.length - 1].t - samples[0].t : 0;
+
+  return (
+    <div className="sticky top-16 z-10 flex flex-wrap items-center gap-3 rounded-2xl border border-sky-500/40 bg-slate-800/95 px-4 py-3 text-xs backdrop-blur-sm">
+      <span className="font-semibold uppercase tracking-widest text-sky-300">Replay</span>
+      <span className="max-w-48 truncate text-slate-300" title={session.name}>{session.name}</span>
+      <button
+        onClick={onPlayPause}
+        className="flex items-center gap-1 rounded-lg bg-sky-600 px-3 py-1.5 font-semibold text-white hover:bg-sky-500"
+      >
+        {playing ? <Pause className="h-3.5 w-3.5" /> : <Play className="h-3.5 w-3.5" />}
+        {playing ? 'Pause' : 'Play'}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={samples.length}
+        value={shown}
+        onPointerDown={() => setDragTo(position)}
+        onChange={(e) => (dragTo != null ? setDragTo(Number(e.target.value)) : onSeek(Number(e.target.value)))}
+        onPointerUp={(e) => {
+          setDragTo(null);
+          onSeek(Number(e.target.value));
+        }}
+        onPointerCancel={() => setDragTo(null)}
+        className="min-w-40 flex-1 accent-sky-500"
+        aria-label="Replay position"
+      />
+      <span className="tabular-nums text-slate-400">
+        {current ? formatClock(current.t) : '—'} · {formatDuration(elapsed)} / {formatDuration(total)}
+      </span>
+      <div className="flex rounded-lg border border-slate-600/40">
+        {REPLAY_SPEEDS.map((x) => (
+          <button
+            key={x}
+            onClick={() => onSpeed(x)}
+            className={`px-2 py-1 font-semibold ${speed === x ? 'bg-sky-600/30 text-sky-200' : 'text-slate-400 hover:bg-slate-700'}`}
+          >
+            {x}x
+          </button>
+        ))}
+      </div>
+      <button onClick={onExit} className="rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200" title="Exit replay">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+// ─── Session Viewer ───────────────────────────────────────────────────────────
+const EXPORT_FORMATS = [
+  { ext: 'csv',  label: 'CSV',  type: 'text/csv',         render: sessionToCSV },
+  { ext: 'json', label: 'JSON', type: 'application/json', render: sessionToJSON },
+  { ext: 'html', label: 'HTML', type: 'text/html',        render: sessionToHTML },
+];
+
+function SessionViewer({ session, profile: current, canReplay, onReplay, onClose }) {
+  const { samples } = session;
+  // Judge the session by the limits it was recorded with, not today's
+  const profile = {
+    ...current,
+    thresholds: session.thresholds ?? current.thresholds,
+    bands:      session.profile?.bands ?? current.bands,
+  };
+  const analysis = analyzeSamples(samples, { interval: POLL_INTERVAL });
+  const advice = advise({
+    stats:       summarize(samples),
+    analysis,
+    stressTests: session.stressTests,
+    thresholds:  profile.thresholds,
+    source:      session.source,
+    samples,
+    connectionChanges: connectionChanges(session.annotations),
+    ice:         session.ice,
+    mediaTest:   session.mediaTests?.at(-1),
+  });
+  return (
+    <div className="space-y-6 rounded-2xl border border-sky-500/30 bg-slate-800/50 p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <FolderOpen className="h-5 w-5 text-sky-400" />
+            <h2 className="font-bold text-slate-200">{session.name}</h2>
+          </div>
+          <p className="mt-1 text-xs text-slate-500">
+            {new Date(session.startedAt).toLocaleString()} · {formatDuration(session.endedAt - session.startedAt)} · {samples.length} samples · via {sourceLabel(session.source)}
+            {samples.length > 0 && ` · ${formatShare(realShare(samples))} real measurements`}
+          </p>
+        </div>
+        <div className="flex shrink-0 items-center gap-1">
+          {samples.length > 0 && (
+            <button
+              onClick={() => onReplay(session)}
+              disabled={!canReplay}
+              className="flex items-center gap-1 rounded-md border border-sky-500/40 bg-sky-600/20 px-2 py-1 text-xs font-semibold text-sky-300 hover:bg-sky-600/30 disabled:opacity-40"
+              title={canReplay ? 'Replay through the live dashboard' : 'Stop monitoring to replay'}
+            >
+              <Play className="h-3.5 w-3.5" />
+              Replay
+            </button>
+          )}
+          {EXPORT_FORMATS.map(({ ext, label, type, render }) => (
+            <button
+              key={ext}
+              onClick={() => downloadFile(exportFilename(session, ext), render(session), type)}
+              className="flex items-center gap-1 rounded-md border border-slate-600/40 px-2 py-1 text-xs font-semibold text-slate-300 hover:bg-slate-700"
+              title={`Export as ${label}`}
+            >
+              <FileDown className="h-3.5 w-3.5" />
+              {label}
+            </button>
+          ))}
+          <button onClick={onClose} className="rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      {samples.length > 0 ? (
+        <div>
+          <SeismographChart
+            samples={samples}
+            profile={profile}
+            markers={[...spikeMarkers(analysis.spikes), ...alertMarkers(session.alerts), ...annotationMarkers(session.annotations)]}
+            defaultWindow="all"
+          />
+          <SpikeFindings analysis={analysis} />
+          <Annotations annotations={session.annotations ?? []} />
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">No samples were recorded in this session.</p>
+      )}
+      {samples.length > 0 && <StatisticsPanel samples={samples} defaultWindow="all" />}
+      {samples.length > 0 && <AdvisorPanel advice={advice} enoughData />}
+      <StressTestHistory results={session.stressTests} />
+    </div>
+  );
+}
+
+// ─── Profile Settings ─────────────────────────────────────────────────────────
+const METRIC_LABELS = { rtt: 'RTT (ms)', jitter: 'Jitter (ms)', loss: 'Loss (%)' };
+const NOTE_LABELS   = ['Good', 'Warning', 'Critical', 'Packet loss'];
+
+function setIn(obj, [key, ...rest], value) {
+  return { ...obj, [key]: rest.length ? setIn(obj[key], rest, value) : value };
+}
+
+function NumField({ value, onChange, step = 1 }) {
+  return (
+    <input
+      type="number"
+      value={value}
+      step={step}
+      min={0}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-20 rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-xs text-slate-200"
+    />
+  );
+}
+
+function profileProblems(p) {
+  const problems = [];
+  if (!p.name.trim()) problems.push('Name is required');
+  if (!p.app.trim()) problems.push('App label is required');
+  Object.entries(p.thresholds).forEach(([k, { good, warn }]) => {
+    if (!(good <= warn)) problems.push(`${METRIC_LABELS[k]}: good must not exceed warn`);
+  });
+  if (!(p.bands.good <= p.bands.warn)) problems.push('Chart bands: good must not exceed warn');
+  return problems;
+}
+
+function ProfileSettings({ profiles, activeId, onSelect, onSave, onDelete, onClose }) {
+  const [draft, setDraft] = useState(null); // profile being edited
+  const set = (path, value) => setDraft((d) => setIn(d, path, value));
+  const problems = draft ? profileProblems(draft) : [];
+  const active = profiles.find((p) => p.id === activeId);
+
+  return (
+    <div className="rounded-2xl border border-violet-500/30 bg-slate-800/50 p-6">
+      <div className="mb-4 flex items-center gap-2">
+        <SlidersHorizontal className="h-5 w-5 text-violet-400" />
+        <h2 className="font-bold text-slate-200">Threshold Profiles</h2>
+        <button onClick={onClose} className="ml-auto rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200" title="Close">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-2">
+          {profiles.map((p) => (
+            <label
+              key={p.id}
+              className={`flex cursor-pointer items-center gap-3 rounded-lg border px-3 py-2 text-sm ${
+                p.id === activeId ? 'border-violet-500/50 bg-violet-500/10 text-slate-100' : 'border-slate-700/50 text-slate-300 hover:bg-slate-700/40'
+              }`}
+            >
+              <input type="radio" name="profile" checked={p.id === activeId} onChange={() => onSelect(p.id)} />
+              <span className="flex-1">{p.name}</span>
+              {p.builtIn && <span className="text-[10px] uppercase tracking-wider text-slate-500">built-in</span>}
+            </label>
+          ))}
+          <div className="flex gap-2 pt-2">
+            <button
+              onClick={() => setDraft(cloneProfile(active))}
+              className="rounded-lg border border-slate-600/40 px-3 py-1.5 text-xs font-semibold text-slate-300 hover:bg-slate-700"
+            >
+              Duplicate
+            </button>
+            {!active.builtIn && (
+              <>
+                <button
+                  onClick={() => setDraft(structuredClone(active))}
+                  className="rounded-lg border border-slate-600/40 px-3 py-1.5 text-xs font-semibold text-slate-300 hover:bg-slate-700"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => { if (window.confirm(`Delete profile "${active.name}"?`)) onDelete(active.id); }}
+                  className="rounded-lg border border-red-500/40 px-3 py-1.5 text-xs font-semibold text-red-400 hover:bg-red-500/20"
+                >
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {draft && (
+          <div className="space-y-4 text-xs text-slate-400 lg:col-span-2">
+            <div className="flex flex-wrap gap-4">
+              <label className="flex flex-col gap-1">
+                Name
+                <input value={draft.name} onChange={(e) => set(['name'], e.target.value)} className="w-48 rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-slate-200" />
+              </label>
+              <label className="flex flex-col gap-1">
+                Readiness label
+                <span className="flex items-center gap-1">
+                  Ready for
+                  <input value={draft.app} onChange={(e) => set(['app'], e.target.value)} className="w-32 rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-slate-200" />
+                </span>
+              </label>
+            </div>
+
+            <table className="w-full">
+              <thead>
+                <tr className="text-left uppercase tracking-wider text-slate-500">
+                  <th className="py-1 font-semibold">Metric</th>
+                  <th className="font-semibold">Good ≤</th>
+                  <th className="font-semibold">Warn ≤</th>
+                  <th className="font-semibold">Deduct from</th>
+                  <th className="font-semibold">Points / unit</th>
+                  <th className="font-semibold">Max deduction</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(METRIC_LABELS).map((k) => (
+                  <tr key={k}>
+                    <td className="py-1 text-slate-300">{METRIC_LABELS[k]}</td>
+                    <td><NumField value={draft.thresholds[k].good} step={0.1} onChange={(v) => set(['thresholds', k, 'good'], v)} /></td>
+                    <td><NumField value={draft.thresholds[k].warn} step={0.1} onChange={(v) => set(['thresholds', k, 'warn'], v)} /></td>
+                    <td><NumField value={draft.weights[k].from} step={0.1} onChange={(v) => set(['weights', k, 'from'], v)} /></td>
+                    <td><NumField value={draft.weights[k].per} step={0.1} onChange={(v) => set(['weights', k, 'per'], v)} /></td>
+                    <td><NumField value={draft.weights[k].max} onChange={(v) => set(['weights', k, 'max'], v)} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex items-center gap-2">
+              <span className="text-slate-300">Latency chart bands (ms):</span>
+              green to <NumField value={draft.bands.good} onChange={(v) => set(['bands', 'good'], v)} />
+              yellow to <NumField value={draft.bands.warn} onChange={(v) => set(['bands', 'warn'], v)} />
+              then red
+            </div>
+
+            <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+              {NOTE_LABELS.map((label, i) => (
+                <label key={label} className="flex flex-col gap-1">
+                  Signal Guide — {label}
+                  <input
+                    value={draft.notes[i]}
+                    onChange={(e) => set(['notes'], draft.notes.map((n, j) => (j === i ? e.target.value : n)))}
+                    className="rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-slate-200"
+                  />
+                </label>
+              ))}
+            </div>
+
+            {problems.length > 0 && (
+              <p className="flex items-center gap-1 text-red-400">
+                <AlertTriangle className="h-3 w-3 shrink-0" />
+                {problems.join(' · ')}
+              </p>
+            )}
+            <div className="flex gap-2">
+              <button
+                onClick={() => { onSave(draft); setDraft(null); }}
+                disabled={problems.length > 0}
+                className="rounded-lg bg-violet-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-violet-500 disabled:opacity-40"
+              >
+                Save profile
+              </button>
+              <button onClick={() => setDraft(null)} className="rounded-lg border border-slate-600/40 px-3 py-1.5 text-xs font-semibold text-slate-300 hover:bg-slate-700">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Alert Settings ───────────────────────────────────────────────────────────
+const ALERT_CHANNELS = [
+  { key: 'notify', label: 'Desktop notification' },
+  { key: 'sound',  label: 'Sound' },
+  { key: 'title',  label: 'Tab badge' },
+];
+
+function ConditionField({ condition, onChange }) {
+  if (condition.metric === 'health') {
+    return (
+      <select
+        value={condition.level}
+        onChange={(e) => onChange({ ...condition, level: e.target.value })}
+        className="rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-xs text-slate-200"
+      >
+        <option value="warning">Warning or worse</option>
+        <option value="critical">Critical</option>
+      </select>
+    );
+  }
+  const key = condition.metric === 'score' ? 'below' : 'above';
+  return <NumField value={condition[key]} step={0.1} onChange={(v) => onChange({ ...condition, [key]: v })} />;
+}
+
+function AlertLog({ alerts }) {
+  if (alerts.length === 0) return <p className="text-xs text-slate-500">No alerts fired yet.</p>;
+  return (
+    <ul className="max-h-64 space-y-1 overflow-y-auto text-xs">
+      {[...alerts].reverse().map((a) => (
+        <li key={`${a.ruleId}-${a.t}`} className="flex items-start gap-2 rounded-md bg-red-500/10 px-2 py-1.5">
+          <BellRing className="mt-0.5 h-3 w-3 shrink-0 text-red-400" />
+          <span className="font-mono text-slate-400">{formatClock(a.t)}</span>
+          <span className="text-slate-200">{a.name}</span>
+          <span className="text-slate-500">{a.message}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function AlertSettings({ settings, permission, log, onChange, onRequestPermission, onClose }) {
+  const setRule = (id, path, value) => onChange({
+    ...settings,
+    rules: settings.rules.map((r) => (r.id === id ? setIn(r, path, value) : r)),
+  });
+  const wantsNotify = settings.rules.some((r) => r.enabled && r.channels.notify);
+
+  return (
+    <div className="rounded-2xl border border-red-500/30 bg-slate-800/50 p-6">
+      <div className="mb-4 flex items-center gap-2">
+        <Bell className="h-5 w-5 text-red-400" />
+        <h2 className="font-bold text-slate-200">Health Alerts</h2>
+        <label className="ml-4 flex items-center gap-2 text-xs text-slate-300">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ ...settings, enabled: e.target.checked })} />
+          Enabled
+        </label>
+        <button
+          onClick={() => { playAlertCue(); desktopNotify('ZoomMeter test alert', 'Alerts will look and sound like this.'); }}
+          className="rounded-lg border border-slate-600/40 px-2.5 py-1 text-xs font-semibold text-slate-300 hover:bg-slate-700"
+        >
+          Test
+        </button>
+        <button onClick={onClose} className="ml-auto rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200" title="Close">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {wantsNotify && permission !== 'granted' && (
+        <p className="mb-4 flex items-center gap-2 text-xs text-yellow-400">
+          <AlertTriangle className="h-3 w-3 shrink-0" />
+          {permission === 'default' && (
+            <>
+              Desktop notifications need permission.
+              <button onClick={onRequestPermission} className="rounded-md border border-yellow-500/40 px-2 py-0.5 font-semibold hover:bg-yellow-500/20">
+                Allow
+              </button>
+            </>
+          )}
+          {permission === 'denied' && 'Desktop notifications are blocked for this site in the browser settings.'}
+          {permission === 'unsupported' && 'This browser does not support desktop notifications.'}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-3 text-xs text-slate-400 lg:col-span-2">
+          {settings.rules.map((r) => (
+            <div key={r.id} className={`space-y-2 rounded-lg border p-3 ${r.enabled ? 'border-slate-600/60' : 'border-slate-700/40 opacity-60'}`}>
+              <label className="flex items-center gap-2 text-sm text-slate-200">
+                <input type="checkbox" checked={r.enabled} onChange={(e) => setRule(r.id, ['enabled'], e.target.checked)} />
+                {r.name}
+                <span className="text-xs text-slate-500">— {describeRule(r)}</span>
+              </label>
+              <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+                <span className="flex items-center gap-1">
+                  When <ConditionField condition={r.condition} onChange={(c) => setRule(r.id, ['condition'], c)} />
+                </span>
+                {r.kind === 'sustained' ? (
+                  <span className="flex items-center gap-1">
+                    for <NumField value={r.forSec} onChange={(v) => setRule(r.id, ['forSec'], v)} /> s
+                  </span>
+                ) : (
+                  <span className="flex items-center gap-1">
+                    <NumField value={r.count} onChange={(v) => setRule(r.id, ['count'], v)} /> times in
+                    <NumField value={r.windowSec} onChange={(v) => setRule(r.id, ['windowSec'], v)} /> s
+                  </span>
+                )}
+                <span className="flex items-center gap-1" title="The condition must stay false this long before the alert can fire again">
+                  clear after <NumField value={r.clearSec} onChange={(v) => setRule(r.id, ['clearSec'], v)} /> s
+                </span>
+                <span className="flex items-center gap-1" title="Minimum time between two alerts from this rule">
+                  cooldown <NumField value={r.cooldownSec} onChange={(v) => setRule(r.id, ['cooldownSec'], v)} /> s
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-4">
+                {ALERT_CHANNELS.map(({ key, label }) => (
+                  <label key={key} className="flex items-center gap-1.5">
+                    <input type="checkbox" checked={r.channels[key]} onChange={(e) => setRule(r.id, ['channels', key], e.target.checked)} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div>
+          <p className="mb-2 text-xs font-semibold uppercase tracking-widest text-slate-400">Fired this session</p>
+          <AlertLog alerts={log} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Text field that only reports its value once editing is done, so the collector
+// isn't reconfigured on every keystroke
+function CommitField({ value, onCommit, className, ...props }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft != null && draft !== value) onCommit(draft.trim());
+    setDraft(null);
+  };
+  return (
+    <input
+      {...props}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') commit(); }}
+      className={`rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-slate-200 ${className}`}
+    />
+  );
+}
+
+function CollectorSettings({ settings, status, test, onChange, onTest, onClearQueue, onClose }) {
+  const urlProblem = collectorUrlProblem(settings.url);
+  const selectClass = 'rounded-md border border-slate-600 bg-slate-800 px-2 py-1 text-slate-200';
+
+  return (
+    <div className="rounded-2xl border border-cyan-500/30 bg-slate-800/50 p-6">
+      <div className="mb-4 flex flex-wrap items-center gap-2">
+        <Webhook className="h-5 w-5 text-cyan-400" />
+        <h2 className="font-bold text-slate-200">Collector Integration</h2>
+        <label className="ml-4 flex items-center gap-2 text-xs text-slate-300">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ ...settings, enabled: e.target.checked })} />
+          Send measurements
+        </label>
+        <button
+          onClick={onTest}
+          disabled={urlProblem != null || test?.sending}
+          className="rounded-lg border border-slate-600/40 px-2.5 py-1 text-xs font-semibold text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+        >
+          {test?.sending ? 'Testing…' : 'Test'}
+        </button>
+        <button onClick={onClose} className="ml-auto rounded-md p-1.5 text-slate-400 hover:bg-slate-700 hover:text-slate-200" title="Close">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-3 text-xs text-slate-400 lg:col-span-2">
+          <label className="flex flex-col gap-1">
+            Collector URL
+            <CommitField
+              value={settings.url}
+              onCommit={(url) => onChange({ ...settings, url })}
+              placeholder="https://metrics.example.com/api/v1/write"
+              className="font-mono"
+            />
+          </label>
+          {urlProblem && (
+            <p className="flex items-center gap-1 text-yellow-400">
+              <AlertTriangle className="h-3 w-3 shrink-0" />
+              {urlProblem}
+            </p>
+          )}
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              Format
+              <select value={settings.format} onChange={(e) => onChange({ ...settings, format: e.target.value })} className={selectClass}>
+                {Object.entries(COLLECTOR_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.name}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              every
+              <select value={settings.everySec} onChange={(e) => onChange({ ...settings, everySec: Number(e.target.value) })} className={selectClass}>
+                {COLLECTOR_INTERVALS.map((sec) => <option key={sec} value={sec}>{sec} s</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2" title="The instance label on every metric, to tell several ZoomMeters apart">
+              Instance
+              <CommitField value={settings.instance} onCommit={(instance) => onChange({ ...settings, instance })} className="w-32" />
+            </label>
+            <label className="flex items-center gap-2" title="Sent as an Authorization: Bearer header when set">
+              Token
+              <CommitField type="password" value={settings.token} onCommit={(token) => onChange({ ...settings, token })} className="w-40" />
+            </label>
+          </div>
+          <p className="text-slate-500">
+            Live samples, stress test summaries and fired alerts are sent in batches. The JSON webhook posts them as they are;
+            OpenMetrics and remote-write send <code>zoommeter_*</code> gauges labelled with instance, source and profile.
+            Batches the collector doesn't accept are retried, then queued in this browser until it answers again.
+            {' '}<code>npm run collector</code> starts a local stand-in that accepts all three formats.
+          </p>
+        </div>
+        <div className="space-y-2 text-xs">
+          <p className="font-semibold uppercase tracking-widest text-slate-400">Delivery</p>
+          <p className="text-slate-300">
+            {status.sending ? 'Sending…' : status.lastSent ? `Last batch sent ${formatClock(status.lastSent)}` : 'Nothing sent yet'}
+          </p>
+          {status.lastError && (
+            <p className="flex items-center gap-1 text-red-400">
+              <AlertTriangle className="h-3 w-3 shrink-0" />
+              {status.lastError}
+            </p>
+          )}
+          {status.queued > 0 && (
+            <p className="flex items-center gap-2 text-yellow-400">
+              {status.queued} {status.queued === 1 ? 'batch' : 'batches'} queued
+              <button onClick={onClearQueue} className="rounded-md p-1 text-slate-400 hover:bg-slate-700 hover:text-red-300" title="Discard queued batches">
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </p>
+          )}
+          {status.dropped > 0 && <p className="text-slate-500">{status.dropped} oldest batches dropped while the queue was full</p>}
+          {test && !test.sending && (
+            <p className={`flex items-center gap-1 ${test.error ? 'text-red-400' : 'text-green-400'}`}>
+              {test.error ? <XCircle className="h-3 w-3 shrink-0" /> : <CheckCircle className="h-3 w-3 shrink-0" />}
+              {test.error ? `Test failed: ${test.error}` : 'Collector accepted the test batch'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Main App ─────────────────────────────────────────────────────────────────
+// A source (and scenario) picked in the URL, e.g. ?scenario=lte-handover&seed=3
+const urlSource = sourceFromUrl(window.location.search);
+
+export default function App() {
+  const [running,           setRunning]           = useState(false);
+  const [stress,            setStress]            = useState(false);
+  const [stressLeft,        setStressLeft]        = useState(0);
+  const [metrics,           setMetrics]           = useState({ rtt: 0, jitter: 0, loss: 0 });
+  const [samples,           setSamples]           = useState([]);
+  const [probeReady,        setProbeReady]        = useState(false);
+  const [probeError,        setProbeError]        = useState(false);
+  const [startError,        setStartError]        = useState(null);
+  const [sourceId,          setSourceId]          = useState(() => urlSource?.source ?? DEFAULT_SOURCE);
+  const [probeOptions,      setProbeOptions]      = useState(() => Object.fromEntries(
+    Object.entries(PROBE_SOURCES).map(([id, s]) => [id, {
+      endpoint: s.defaultEndpoint,
+      rate:     s.defaultRate,
+      scenario: s.defaultScenario,
+      seed:     s.defaultSeed,
+      ...(urlSource?.source === id ? urlSource.options : {}),
+    }]),
+  ));
+  const [seqCounts,         setSeqCounts]         = useState(null);
+  const [stressTestResults, setStressTestResults] = useState([]);
+  const [lastSource,        setLastSource]        = useState(null);
+  const [loadEndpoint,      setLoadEndpoint]      = useState(DEFAULT_LOAD_ENDPOINT);
+  const [loadError,         setLoadError]         = useState(null);
+  const [throughput,        setThroughput]        = useState(null);
+  const [measuringBw,       setMeasuringBw]       = useState(false);
+  const [sessions,          setSessions]          = useState([]);
+  const [openSession,       setOpenSession]       = useState(null);
+  const [recordingId,       setRecordingId]       = useState(null);
+  const [sessionError,      setSessionError]      = useState(null);
+  const [customProfiles,    setCustomProfiles]    = useState(loadCustomProfiles);
+  const [profileId,         setProfileId]         = useState(loadActiveProfileId);
+  const [showSettings,      setShowSettings]      = useState(false);
+  const [alertSettings,     setAlertSettings]     = useState(loadAlertSettings);
+  const [alertLog,          setAlertLog]          = useState([]);
+  const [alertBadge,        setAlertBadge]        = useState(null); // id of the rule shown in the tab badge
+  const [showAlerts,        setShowAlerts]        = useState(false);
+  const [notifyPermission,  setNotifyPermission]  = useState(notificationPermission);
+  const [analysis,          setAnalysis]          = useState(null);
+  const [annotations,       setAnnotations]       = useState([]);
+  const [replay,            setReplay]            = useState(null); // { session, playing, speed } while replaying
+  const [iceServers,        setIceServers]        = useState(loadIceServers);
+  const [iceReport,         setIceReport]         = useState(null);
+  const [iceChecking,       setIceChecking]       = useState(false);
+  const [iceError,          setIceError]          = useState(null);
+  const [mediaCurrent,      setMediaCurrent]      = useState(null); // per-second metrics while the test runs
+  const [mediaSummary,      setMediaSummary]      = useState(null);
+  const [mediaStarting,     setMediaStarting]     = useState(false);
+  const [mediaLeft,         setMediaLeft]         = useState(0);
+  const [mediaError,        setMediaError]        = useState(null);
+  const [schedule,          setSchedule]          = useState(loadSchedule);
+  const [checks,            setChecks]            = useState(null); // null until loaded from IndexedDB
+  const [checkRunning,      setCheckRunning]      = useState(false);
+  const [checkError,        setCheckError]        = useState(null);
+  const [lastCheckTry,      setLastCheckTry]      = useState(null); // start of the latest attempt, stored or not
+  const [collectorSettings, setCollectorSettings] = useState(loadCollectorSettings);
+  const [collectorStatus,   setCollectorStatus]   = useState({ queued: 0, sending: false, lastSent: null, lastError: null, dropped: 0 });
+  const [collectorTest,     setCollectorTest]     = useState(null); // { sending } or { error } from the last test
+  const [showCollector,     setShowCollector]     = useState(false);
+
+  const profiles = [...BUILT_IN_PROFILES, ...customProfiles];
+  const profile  = profiles.find((p) => p.id === profileId) ?? BUILT_IN_PROFILES[0];
+
+  const samplerRef    = useRef(null);
+  const capabilitiesRef = useRef(null);
+  const sourceRef     = useRef(sourceId);
+  const stressRef     = useRef(null);
+  const stressDataRef = useRef([]);
+  const countdownRef  = useRef(null);
+  const loadRef       = useRef(null);
+  const idleRttsRef   = useRef([]);
+  const stressIndexRef = useRef(0);
+  const sessionRef    = useRef(null);
+  const profileRef    = useRef(profile);
+  const alertEngineRef = useRef(new AlertEngine(alertSettings.rules));
+  const alertsOnRef   = useRef(alertSettings.enabled);
+  const recentRef     = useRef([]); // the last ANALYSIS_SAMPLES samples, for the analyzer
+  const seenRef       = useRef(0);  // samples received since start, for the analysis cadence
+  const replayerRef   = useRef(null);
+  const collectorRef  = useRef(null);
+
+  // ── Profiles ──
+  useEffect(() => { profileRef.current = profile; }, [profile]);
+  useEffect(() => { saveCustomProfiles(customProfiles); }, [customProfiles]);
+  useEffect(() => { saveActiveProfileId(profileId); }, [profileId]);
+
+  const handleSaveProfile = useCallback((p) => {
+    setCustomProfiles((list) => (list.some((c) => c.id === p.id) ? list.map((c) => (c.id === p.id ? p : c)) : [...list, p]));
+    setProfileId(p.id);
+  }, []);
+
+  const handleDeleteProfile = useCallback((id) => {
+    setCustomProfiles((list) => list.filter((c) => c.id !== id));
+    setProfileId((current) => (current === id ? BUILT_IN_PROFILES[0].id : current));
+  }, []);
+
+  // ── Alerts ──
+  useEffect(() => {
+    saveAlertSettings(alertSettings);
+    alertEngineRef.current.setRules(alertSettings.rules);
+    alertsOnRef.current = alertSettings.enabled;
+  }, [alertSettings]);
+
+  useEffect(() => {
+    samplerRef.current?.setWatch(alertWatch(alertSettings, profile));
+  }, [alertSettings, profile]);
+
+  useEffect(() => {
+    const rule = alertSettings.rules.find((r) => r.id === alertBadge);
+    setTitleBadge(rule ? { text: rule.name, health: rule.condition.level ?? 'critical' } : null);
+  }, [alertBadge, alertSettings.rules]);
+
+  const handleAlertSettings = useCallback((next) => {
+    setAlertSettings(next);
+    if (!next.enabled) setAlertBadge(null);
+  }, []);
+
+  // ── Collector ──
+  useEffect(() => {
+    const collector = new Collector({ onStatus: setCollectorStatus });
+    collectorRef.current = collector;
+    const resume = () => collector.drain();
+    const persist = () => collector.flush(); // queue the partial batch before the page goes
+    window.addEventListener('online', resume);
+    window.addEventListener('pagehide', persist);
+    return () => {
+      window.removeEventListener('online', resume);
+      window.removeEventListener('pagehide', persist);
+      collector.stop();
+      collectorRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    saveCollectorSettings(collectorSettings);
+    collectorRef.current?.configure(collectorSettings, { source: sourceId, profile: profile.id });
+  }, [collectorSettings, sourceId, profile.id]);
+
+  const handleCollectorTest = useCallback(async () => {
+    setCollectorTest({ sending: true });
+    const error = await collectorRef.current?.test();
+    setCollectorTest({ error });
+  }, []);
+
+  const handleRequestPermission = useCallback(async () => {
+    setNotifyPermission(await requestNotificationPermission());
+  }, []);
+
+  // ── Sample batches from the sampler worker ──
+  const handleBatch = useCallback((batch) => {
+    const received = [];
+    let duplicates = 0;
+    let reordered = 0;
+    batch.forEach((s) => {
+      // Per-sample sequence counts stay on the sample so a replay can total them again
+      const { stress: isStress, ...sample } = s;
+      if (sample.duplicates != null) {
+        duplicates += sample.duplicates;
+        reordered  += sample.reordered;
+      }
+      if (isStress) {
+        stressDataRef.current.push(sample);
+      } else {
+        idleRttsRef.current = [...idleRttsRef.current.slice(-BASELINE_SAMPLES + 1), sample.rtt];
+      }
+      received.push(sample);
+    });
+
+    const last = received[received.length - 1];
+    setMetrics({ rtt: last.rtt, jitter: last.jitter, loss: last.loss });
+    setLastSource(last.source);
+    if (duplicates > 0 || reordered > 0) {
+      setSeqCounts((c) => c && { duplicates: c.duplicates + duplicates, reordered: c.reordered + reordered });
+    }
+    if (sessionRef.current) {
+      appendSamples(sessionRef.current, received).catch(() => {});
+    }
+    if (!replayerRef.current) collectorRef.current?.addSamples(received);
+    setSamples((arr) => [...arr, ...received].slice(-LIVE_SAMPLES));
+
+    // Re-run spike analysis every few samples rather than on every render
+    const recent = recentRef.current;
+    recent.push(...received);
+    if (recent.length > ANALYSIS_SAMPLES) recent.splice(0, recent.length - ANALYSIS_SAMPLES);
+    const seen = seenRef.current;
+    seenRef.current += received.length;
+    if (Math.floor(seenRef.current / ANALYSIS_EVERY) !== Math.floor(seen / ANALYSIS_EVERY)) {
+      setAnalysis(analyzeSamples(recent, { interval: POLL_INTERVAL }));
+    }
+
+    // Replays show the alerts that were recorded rather than re-firing them
+    if (alertsOnRef.current && !replayerRef.current) {
+      const { thresholds, weights } = profileRef.current;
+      const engine = alertEngineRef.current;
+      const fired = received.flatMap((sample) => engine.evaluate({
+        ...sample,
+        health: getHealth(sample.rtt, sample.jitter, sample.loss, thresholds),
+        score:  calcScore(sample.rtt, sample.jitter, sample.loss, weights),
+      }));
+      const logged = fired.map(({ channels, ...alert }) => {
+        if (channels.notify) desktopNotify(`ZoomMeter — ${alert.name}`, alert.message);
+        if (channels.sound) playAlertCue();
+        if (sessionRef.current) appendAlert(sessionRef.current, alert).catch(() => {});
+        collectorRef.current?.addAlert(alert);
+        return alert;
+      });
+      if (logged.length > 0) setAlertLog((log) => [...log, ...logged]);
+
+      const active = engine.activeRuleIds();
+      setAlertBadge(engine.rules.find((r) => r.channels.title && active.includes(r.id))?.id ?? null);
+    }
+  }, []);
+
+  // ── Boot probe + sampler ──
+  const startProbe = useCallback(async () => {
+    setProbeError(false);
+    const id = sourceRef.current;
+    const sampler = new Sampler({ onBatch: handleBatch });
+    samplerRef.current = sampler;
+    sampler.setWatch(alertWatch({ enabled: alertsOnRef.current, rules: alertEngineRef.current.rules }, profileRef.current));
+    const options = id === 'stun' ? { ...probeOptions[id], iceServers } : probeOptions[id];
+    let started;
+    try {
+      started = await sampler.start({ source: id, options, interval: POLL_INTERVAL });
+    } catch (err) {
+      setStartError(err.message);
+      return false;
+    }
+    const { ok, capabilities } = started;
+    capabilitiesRef.current = capabilities;
+    // The STUN source gathers candidates anyway; keep them as an ICE report
+    sampler.probe?.iceReport?.then((report) => {
+      setIceReport(report);
+      if (sessionRef.current) updateSession(sessionRef.current, { ice: report }).catch(() => {});
     });
+    if (ok) {
+      setProbeReady(true);
+      setSeqCounts(capabilities.sequence ? { duplicates: 0, reordered: 0 } : null);
+    } else {
+      setProbeError(true);
+    }
+    return true;
+  }, [probeOptions, iceServers, handleBatch]);
+
+  // Hidden tabs get fewer, larger batches; catch up as soon as the tab is visible again
+  useEffect(() => {
+    const onVisibility = () => samplerRef.current?.setHidden(document.hidden);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => document.removeEventListener('visibilitychange', onVisibility);
   }, []);
 
-  // ── Start monitoring ──
-  const handleStart = useCallback(async () => {
-    setRunning(true);
-    secondRef.current = 0;
-    await startProbe();
-    timerRef.current = setInterval(tick, POLL_INTERVAL);
-  }, [startProbe, tick]);
+  // ── Session recording ──
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+    } catch {
+      // IndexedDB unavailable (e.g. private mode) — the browser stays empty
+    }
+  }, []);
+
+  useEffect(() => { refreshSessions(); }, [refreshSessions]);
 
   // ── Stop monitoring ──
   const handleStop = useCallback(() => {
     setRunning(false);
     setStress(false);
     stressRef.current = false;
-    clearInterval(timerRef.current);
-    clearTimeout(stressRef._timeout);
-    if (probeRef.current) { probeRef.current.stop(); probeRef.current = null; }
+    clearInterval(countdownRef.current);
+    if (loadRef.current) { loadRef.current.stop(); loadRef.current = null; }
+    const stopped = samplerRef.current?.stop();
+    samplerRef.current = null;
+    capabilitiesRef.current = null;
+    idleRttsRef.current = [];
+    // The session stays open for the worker's last batch, then closes
+    const sessionId = sessionRef.current;
+    if (sessionId) {
+      Promise.resolve(stopped)
+        .then(() => {
+          if (sessionRef.current === sessionId) sessionRef.current = null;
+          return updateSession(sessionId, { endedAt: Date.now() });
+        })
+        .then(refreshSessions, () => {});
+      setRecordingId(null);
+    }
     setProbeReady(false);
+    setLastSource(null);
+    setSeqCounts(null);
+    setAlertBadge(null);
+  }, [refreshSessions]);
+
+  // ── Start monitoring ──
+  const handleStart = useCallback(async () => {
+    setRunning(true);
+    setStartError(null);
+    setSamples([]);
+    setAnalysis(null);
+    setAnnotations([]);
+    recentRef.current = [];
+    seenRef.current = 0;
+    setAlertLog([]);
+    alertEngineRef.current.reset();
+    // Session first, so the sampler's first batch already has somewhere to go
+    const source = sourceRef.current;
+    try {
+      const session = await createSession({
+        source,
+        probeOptions: probeOptions[source],
+        thresholds:   profile.thresholds,
+        profile:      { id: profile.id, name: profile.name, bands: profile.bands },
+      });
+      sessionRef.current = session.id;
+      setRecordingId(session.id);
+      refreshSessions();
+    } catch {
+      sessionRef.current = null;
+    }
+    if (!(await startProbe())) handleStop();
+  }, [startProbe, handleStop, probeOptions, profile, refreshSessions]);
+
+  // ── Timeline annotations ──
+  const addAnnotation = useCallback((a) => {
+    setAnnotations((list) => [...list, a]);
+    if (sessionRef.current) appendAnnotation(sessionRef.current, a).catch(() => {});
+  }, []);
+
+  const handleAddNote = useCallback((label) => addAnnotation(annotation('note', label)), [addAnnotation]);
+
+  // Browser events worth lining up with the graph, recorded while monitoring.
+  // Network Information `change` fires only where that API is supported.
+  useEffect(() => {
+    if (!running) return;
+    const conn = navigator.connection;
+    const onOnline = () => addAnnotation(annotation('online', 'Back online'));
+    const onOffline = () => addAnnotation(annotation('offline', 'Went offline'));
+    const onVisibility = () => addAnnotation(annotation('visibility', document.hidden ? 'Tab hidden' : 'Tab visible'));
+    const onConnection = () => addAnnotation(networkAnnotation(conn));
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    document.addEventListener('visibilitychange', onVisibility);
+    conn?.addEventListener('change', onConnection);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+      document.removeEventListener('visibilitychange', onVisibility);
+      conn?.removeEventListener('change', onConnection);
+    };
+  }, [running, addAnnotation]);
+
+  // ── ICE check ──
+  useEffect(() => { saveIceServers(iceServers); }, [iceServers]);
+
+  const handleIceCheck = useCallback(async () => {
+    setIceChecking(true);
+    setIceError(null);
+    try {
+      const report = await runIceCheck(iceServers);
+      setIceReport(report);
+      if (sessionRef.current) updateSession(sessionRef.current, { ice: report }).catch(() => {});
+    } catch (err) {
+      setIceError(err.message);
+    } finally {
+      setIceChecking(false);
+    }
+  }, [iceServers]);
+
+  // ── Media test ──
+  const handleMediaTest = useCallback(async () => {
+    setMediaError(null);
+    setMediaCurrent(null);
+    setMediaSummary(null);
+    const test = new MediaLoopbackTest();
+    setMediaStarting(true); // the countdown only starts once media flows
+    try {
+      await test.start();
+    } catch (err) {
+      setMediaError(err.message);
+      return;
+    } finally {
+      setMediaStarting(false);
+    }
+
+    const snapshots = [];
+    setMediaLeft(MEDIA_TEST_DURATION);
+    for (let left = MEDIA_TEST_DURATION; left > 0; left--) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const m = await test.poll().catch(() => null);
+      if (m) {
+        snapshots.push(m);
+        setMediaCurrent(m);
+      }
+      setMediaLeft(left - 1);
+    }
+    test.stop();
+
+    const summary = summarizeMedia(snapshots);
+    setMediaCurrent(null);
+    if (!summary) {
+      setMediaError('No media statistics were reported');
+      return;
+    }
+    setMediaSummary(summary);
+    if (sessionRef.current) appendMediaTest(sessionRef.current, { at: Date.now(), ...summary }).catch(() => {});
+  }, []);
+
+  // ── Scheduled checks ──
+  useEffect(() => { saveSchedule(schedule); }, [schedule]);
+
+  useEffect(() => {
+    listChecks().then(setChecks, () => setChecks([]));
+  }, []);
+
+  const handleRunCheck = useCallback(async () => {
+    setCheckRunning(true);
+    setCheckError(null);
+    setLastCheckTry(Date.now());
+    const source = sourceRef.current;
+    const options = source === 'stun' ? { ...probeOptions[source], iceServers } : probeOptions[source];
+    try {
+      const at = Date.now();
+      const { samples: data, measured, loaded } = await runCheckBurst({
+        source,
+        options,
+        seconds:   schedule.burstSec,
+        interval:  POLL_INTERVAL,
+        underLoad: schedule.underLoad,
+        endpoint:  loadEndpoint,
+      });
+      if (data.length === 0) throw new Error('The check collected no samples');
+
+      const { rtt: avgRtt, jitter: avgJitter, loss: avgLoss } = averageMetrics(data);
+      const { id: profileId, thresholds, weights } = profileRef.current;
+      const check = {
+        at,
+        source,
+        measured,
+        loaded,
+        samples:   data.length,
+        avgRtt,
+        avgJitter,
+        avgLoss,
+        score:     calcScore(avgRtt, avgJitter, avgLoss, weights),
+        health:    getHealth(avgRtt, avgJitter, avgLoss, thresholds),
+        profileId,
+      };
+      await saveCheck(check).catch(() => {});
+      setChecks((list) => [...(list ?? []), check]);
+    } catch (err) {
+      setCheckError(err.message);
+    } finally {
+      setCheckRunning(false);
+    }
+  }, [schedule.burstSec, schedule.underLoad, probeOptions, iceServers, loadEndpoint]);
+
+  // The next check is due one interval after the latest attempt or stored check.
+  // A running stress test would skew the result, so wait for it to finish.
+  const lastCheckAt = Math.max(lastCheckTry ?? 0, checks?.[checks.length - 1]?.at ?? 0);
+  useEffect(() => {
+    if (!schedule.enabled || checks == null || checkRunning) return;
+    let timer;
+    const fire = () => {
+      if (stressRef.current) timer = setTimeout(fire, 60_000);
+      else handleRunCheck();
+    };
+    timer = setTimeout(fire, Math.max(0, lastCheckAt + schedule.everyMin * 60_000 - Date.now()));
+    return () => clearTimeout(timer);
+  }, [schedule.enabled, schedule.everyMin, checks, checkRunning, lastCheckAt, handleRunCheck]);
+
+  const handleClearChecks = useCallback(() => {
+    clearChecks().catch(() => {});
+    setChecks([]);
+  }, []);
+
+  // ── Source picker ──
+  const handleSourceChange = useCallback((id) => {
+    sourceRef.current = id;
+    setSourceId(id);
   }, []);
 
   // ── Stress test ──
-  const handleStress = useCallback(() => {
+  const handleStress = useCallback(async () => {
     if (!running) return;
-    stressDataRef.current = [];
+    setLoadError(null);
     setStress(true);
+
+    // Saturate the real link while a measured source keeps probing. Synthetic
+    // sources have nothing to load, so they just switch to their stress model.
+    // The sampler doubles as a run token: Stop replaces it while the load starts
+    const sampler = samplerRef.current;
+    let load = null;
+    if (capabilitiesRef.current?.measured) {
+      load = new LoadGenerator({ endpoint: loadEndpoint });
+      try {
+        await load.start();
+      } catch (err) {
+        setLoadError(err.message);
+        setStress(false);
+        return;
+      }
+      if (samplerRef.current !== sampler) {
+        load.stop();
+        return;
+      }
+      loadRef.current = load;
+    }
+
+    const idleRtts = idleRttsRef.current;
+    stressDataRef.current = [];
     stressRef.current = true;
+    samplerRef.current?.setStress(true);
     setStressLeft(STRESS_DURATION);
+    addAnnotation(annotation('stress', load ? 'Stress test started (link loaded)' : 'Stress test started'));
 
-    const countdown = setInterval(() => {
-      setStressLeft((s) => {
-        if (s <= 1) {
-          clearInterval(countdown);
-          setStress(false);
-          stressRef.current = false;
-
-          const data = stressDataRef.current;
-          if (data.length > 0) {
-            const avg = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
-            const maxArr = (arr) => Math.max(...arr);
-            const rtts    = data.map((d) => d.rtt);
-            const jitters = data.map((d) => d.jitter);
-            const losses  = data.map((d) => d.loss);
-            const avgRtt    = avg(rtts);
-            const avgJitter = avg(jitters);
-            const avgLoss   = avg(losses);
-            setStressTestResults((prev) => [
-              ...prev,
-              {
-                index:     prev.length + 1,
-                timestamp:  new Date().toLocaleString(),
-                duration:  STRESS_DURATION,
-                avgRtt,
-                avgJitter,
-                avgLoss,
-                maxRtt:    maxArr(rtts),
-                maxJitter: maxArr(jitters),
-                maxLoss:   maxArr(losses),
-                score:     calcScore(avgRtt, avgJitter, avgLoss),
-                health:    getHealth(avgRtt, avgJitter, avgLoss),
-                samples:   data.length,
-              },
-            ]);
-          }
-          stressDataRef.current = [];
-          return 0;
-        }
-        return s - 1;
+    let left = STRESS_DURATION;
+    countdownRef.current = setInterval(() => {
+      left -= 1;
+      setStressLeft(left);
+      if (left > 0) return;
+
+      clearInterval(countdownRef.current);
+      setStress(false);
+      stressRef.current = false;
+      samplerRef.current?.setStress(false);
+      if (loadRef.current) { loadRef.current.stop(); loadRef.current = null; }
+      addAnnotation(annotation('stress', 'Stress test ended'));
+
+      const data = stressDataRef.current;
+      stressDataRef.current = [];
+      if (data.length === 0) return;
+
+      stressIndexRef.current += 1;
+      const result = summarizeStress(data, {
+        index:    stressIndexRef.current,
+        duration: STRESS_DURATION,
+        interval: POLL_INTERVAL,
+        profile:  profileRef.current,
+        idleRtts,
+        loaded:   load != null,
       });
+      setStressTestResults((prev) => [...prev, result]);
+      if (sessionRef.current) appendStressTest(sessionRef.current, result).catch(() => {});
+      collectorRef.current?.addStressTest(result);
     }, 1000);
-  }, [running]);
+  }, [running, loadEndpoint, addAnnotation]);
+
+  // ── Throughput test ──
+  const handleThroughput = useCallback(async () => {
+    setLoadError(null);
+    setMeasuringBw(true);
+    try {
+      // One direction at a time so uploads don't eat the download's ACK path
+      const down = await measureThroughput({ endpoint: loadEndpoint, direction: 'down' });
+      const up   = await measureThroughput({ endpoint: loadEndpoint, direction: 'up' });
+      setThroughput({ down, up });
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setMeasuringBw(false);
+    }
+  }, [loadEndpoint]);
+
+  // ── Session browser ──
+  const handleOpenSession = useCallback(async (id) => {
+    setSessionError(null);
+    try {
+      const session = await loadSession(id);
+      if (!session) throw new Error('it is no longer stored');
+      setOpenSession(session);
+    } catch (err) {
+      setSessionError(`Could not open the session: ${err.message}`);
+    }
+  }, []);
+
+  const handleRenameSession = useCallback(async (id, name) => {
+    setSessionError(null);
+    try {
+      await updateSession(id, { name });
+      setOpenSession((s) => (s?.id === id ? { ...s, name } : s));
+    } catch (err) {
+      setSessionError(`Could not rename the session: ${err.message}`);
+    }
+    refreshSessions();
+  }, [refreshSessions]);
+
+  const handleDeleteSession = useCallback(async (id) => {
+    setSessionError(null);
+    try {
+      await deleteSession(id);
+      setOpenSession((s) => (s?.id === id ? null : s));
+    } catch (err) {
+      setSessionError(`Could not delete the session: ${err.message}`);
+    }
+    refreshSessions();
+  }, [refreshSessions]);
+
+  const handleImportSession = useCallback(async (file) => {
+    setSessionError(null);
+    try {
+      const parsed = parseSessionJSON(await file.text());
+      // Keep a copy in IndexedDB when we can; review works either way
+      let session = parsed;
+      try {
+        session = await importSession(parsed);
+        refreshSessions();
+      } catch {
+        // storage unavailable
+      }
+      setOpenSession(session);
+    } catch (err) {
+      setSessionError(`${file.name}: ${err.message}`);
+    }
+  }, [refreshSessions]);
+
+  // ── Session replay ──
+  // Replayed samples go through handleBatch like live ones; a seek clears the
+  // dashboard first. Nothing is recorded while replaying.
+  const resetDashboard = useCallback((hasSequence) => {
+    setSamples([]);
+    setAnalysis(null);
+    recentRef.current = [];
+    seenRef.current = 0;
+    idleRttsRef.current = [];
+    setMetrics({ rtt: 0, jitter: 0, loss: 0 });
+    setSeqCounts(hasSequence ? { duplicates: 0, reordered: 0 } : null);
+  }, []);
+
+  const handleReplay = useCallback((session) => {
+    if (running) return;
+    replayerRef.current?.stop();
+    const hasSequence = session.samples.some((s) => s.duplicates != null);
+    const replayer = new Replayer({
+      samples: session.samples,
+      onBatch: handleBatch,
+      onReset: () => resetDashboard(hasSequence),
+      onEnd:   () => setReplay((r) => r && { ...r, playing: false }),
+    });
+    replayerRef.current = replayer;
+    setLastSource(null);
+    replayer.seek(0);
+    replayer.play();
+    setReplay({ session, playing: true, speed: replayer.speed });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }, [running, handleBatch, resetDashboard]);
+
+  const handleReplayPlayPause = useCallback(() => {
+    const replayer = replayerRef.current;
+    if (!replayer) return;
+    if (replayer.playing) replayer.pause();
+    else replayer.play();
+    setReplay((r) => r && { ...r, playing: replayer.playing });
+  }, []);
+
+  const handleReplaySeek = useCallback((index) => replayerRef.current?.seek(index), []);
+
+  const handleReplaySpeed = useCallback((speed) => {
+    replayerRef.current?.setSpeed(speed);
+    setReplay((r) => r && { ...r, speed });
+  }, []);
+
+  const handleExitReplay = useCallback(() => {
+    replayerRef.current?.stop();
+    replayerRef.current = null;
+    setReplay(null);
+    resetDashboard(false);
+    setLastSource(null);
+  }, [resetDashboard]);
 
   // ── Cleanup ──
   useEffect(() => () => {
-    clearInterval(timerRef.current);
-    if (probeRef.current) probeRef.current.stop();
+    replayerRef.current?.stop();
+    clearInterval(countdownRef.current);
+    if (loadRef.current) loadRef.current.stop();
+    if (samplerRef.current) samplerRef.current.stop();
+    setTitleBadge(null);
   }, []);
 
-  const health = getHealth(metrics.rtt, metrics.jitter, metrics.loss);
-  const score  = running ? calcScore(metrics.rtt, metrics.jitter, metrics.loss) : 0;
-  const rttH   = metrics.rtt    > THRESHOLDS.rtt.warn    ? 'critical' : metrics.rtt    > THRESHOLDS.rtt.good    ? 'warning' : 'good';
-  const jitH   = metrics.jitter > THRESHOLDS.jitter.warn ? 'critical' : metrics.jitter > THRESHOLDS.jitter.good ? 'warning' : 'good';
-  const lossH  = metrics.loss   > THRESHOLDS.loss.warn   ? 'critical' : metrics.loss   > THRESHOLDS.loss.good   ? 'warning' : 'good';
+  // While replaying, the dashboard shows the recorded session with the
+  // profile it was recorded under (when that profile still exists)
+  const live        = running || replay != null;
+  const viewProfile = (replay && profiles.find((p) => p.id === replay.session.profile?.id)) || profile;
+  const lastT       = samples[samples.length - 1]?.t ?? 0;
+  const upToNow     = (list = []) => list.filter((a) => a.t <= lastT);
+  const shownAlerts = replay ? upToNow(replay.session.alerts) : alertLog;
+  const shownNotes  = replay ? upToNow(replay.session.annotations) : annotations;
+
+  // Header badge follows the latest sample, not whether the probe started
+  const lastSample  = running ? samples[samples.length - 1] : null;
+  const sourceState = !lastSample ? null
+    : isFallback(lastSample, sourceId) ? 'fallback'
+    : isSynthetic(lastSample) ? 'synthetic'
+    : 'live';
+
+  const { thresholds, weights } = viewProfile;
+  const health = getHealth(metrics.rtt, metrics.jitter, metrics.loss, thresholds);
+  const score  = live ? calcScore(metrics.rtt, metrics.jitter, metrics.loss, weights) : 0;
+  const rttH   = metricHealth(metrics.rtt,    thresholds.rtt);
+  const jitH   = metricHealth(metrics.jitter, thresholds.jitter);
+  const lossH  = metricHealth(metrics.loss,   thresholds.loss);
+
+  const recent = samples.slice(-ADVICE_SAMPLES);
+  const advice = live ? advise({
+    stats:       summarize(recent),
+    analysis,
+    stressTests: replay ? replay.session.stressTests : stressTestResults,
+    thresholds,
+    throughput:  replay ? null : throughput,
+    source:      replay ? replay.session.source : sourceId,
+    samples:     recent,
+    connectionChanges: connectionChanges(shownNotes),
+    ice:         replay ? replay.session.ice : iceReport,
+    mediaTest:   replay ? replay.session.mediaTests?.at(-1) : mediaSummary,
+  }) : [];
 
   return (
     <div className="min-h-screen bg-slate-900 text-white">
@@ -595,22 +2770,85 @@ export default function App() {
             <span className="hidden text-xs text-slate-500 sm:block">Visual Network Dashboard</span>
           </div>
           <div className="flex items-center gap-2">
-            {probeError && (
-              <span className="flex items-center gap-1 text-xs text-yellow-400">
+            <button
+              onClick={() => setShowSettings((v) => !v)}
+              className={`flex items-center gap-1.5 rounded-lg border px-2 py-1.5 text-xs ${
+                showSettings ? 'border-violet-500/50 bg-violet-500/20 text-violet-200' : 'border-slate-700 bg-slate-800 text-slate-300 hover:bg-slate-700'
+              }`}
+              title="Threshold profiles"
+            >
+              <SlidersHorizontal className="h-3.5 w-3.5" />
+              <span className="hidden sm:inline">{profile.name}</span>
+            </button>
+            <button
+              onClick={() => setShowAlerts((v) => !v)}
+              className={`flex items-center gap-1.5 rounded-lg border px-2 py-1.5 text-xs ${
+                alertBadge
+                  ? 'border-red-500/50 bg-red-500/20 text-red-300'
+                  : showAlerts
+                  ? 'border-violet-500/50 bg-violet-500/20 text-violet-200'
+                  : 'border-slate-700 bg-slate-800 text-slate-300 hover:bg-slate-700'
+              }`}
+              title={alertSettings.enabled ? 'Health alerts' : 'Health alerts (off)'}
+            >
+              {alertBadge ? <BellRing className="h-3.5 w-3.5" /> : <Bell className={`h-3.5 w-3.5 ${alertSettings.enabled ? '' : 'opacity-40'}`} />}
+              {alertLog.length > 0 && <span>{alertLog.length}</span>}
+            </button>
+            <button
+              onClick={() => setShowCollector((v) => !v)}
+              className={`flex items-center gap-1.5 rounded-lg border px-2 py-1.5 text-xs ${
+                collectorStatus.queued > 0 && collectorSettings.enabled
+                  ? 'border-yellow-500/50 bg-yellow-500/10 text-yellow-300'
+                  : showCollector
+                  ? 'border-violet-500/50 bg-violet-500/20 text-violet-200'
+                  : 'border-slate-700 bg-slate-800 text-slate-300 hover:bg-slate-700'
+              }`}
+              title={collectorSettings.enabled ? 'Collector integration' : 'Collector integration (off)'}
+            >
+              <Webhook className={`h-3.5 w-3.5 ${collectorSettings.enabled ? '' : 'opacity-40'}`} />
+              {collectorSettings.enabled && collectorStatus.queued > 0 && <span>{collectorStatus.queued}</span>}
+            </button>
+            <SourcePicker
+              sourceId={sourceId}
+              options={probeOptions[sourceId]}
+              disabled={running}
+              onSourceChange={handleSourceChange}
+              onOptionsChange={(o) => setProbeOptions((po) => ({ ...po, [sourceId]: { ...po[sourceId], ...o } }))}
+            />
+            {startError && (
+              <span className="flex items-center gap-1 text-xs text-red-400" title={startError}>
+                <XCircle className="h-3 w-3" />
+                Could not start monitoring
+              </span>
+            )}
+            {sourceState === 'fallback' && (
+              <span
+                className="flex items-center gap-1 text-xs text-yellow-400"
+                title={probeError
+                  ? `${sourceLabel(sourceId)} could not start, so every sample is simulated`
+                  : `${sourceLabel(sourceId)} returned no data for the latest sample; the simulator filled in`}
+              >
                 <AlertTriangle className="h-3 w-3" />
-                Simulated mode
+                Simulated fallback
               </span>
             )}
-            {running && probeReady && !probeError && (
+            {sourceState === 'synthetic' && (
+              <span className="flex items-center gap-1 text-xs text-amber-300" title="This source generates its numbers; nothing is measured">
+                <Info className="h-3 w-3" />
+                Synthetic data
+              </span>
+            )}
+            {sourceState === 'live' && probeReady && (
               <span className="flex items-center gap-1 text-xs text-green-400">
                 <CheckCircle className="h-3 w-3" />
-                WebRTC live
+                {sourceLabel(sourceId)} live
               </span>
             )}
             <motion.button
               whileTap={{ scale: 0.95 }}
               onClick={running ? handleStop : handleStart}
-              className={`flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-semibold transition-colors ${
+              disabled={replay != null}
+              className={`flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-semibold transition-colors disabled:opacity-50 ${
                 running
                   ? 'bg-red-600/20 text-red-400 border border-red-600/40 hover:bg-red-600/30'
                   : 'bg-blue-600 text-white hover:bg-blue-500'
@@ -624,12 +2862,56 @@ export default function App() {
       </header>
 
       <main className="mx-auto max-w-6xl space-y-6 px-4 py-6">
+        {replay && (
+          <ReplayBar
+            session={replay.session}
+            position={replay.session.samples.findLastIndex((s) => s.t <= lastT) + 1}
+            playing={replay.playing}
+            speed={replay.speed}
+            onPlayPause={handleReplayPlayPause}
+            onSeek={handleReplaySeek}
+            onSpeed={handleReplaySpeed}
+            onExit={handleExitReplay}
+          />
+        )}
+        {showSettings && (
+          <ProfileSettings
+            profiles={profiles}
+            activeId={profile.id}
+            onSelect={setProfileId}
+            onSave={handleSaveProfile}
+            onDelete={handleDeleteProfile}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+        {showAlerts && (
+          <AlertSettings
+            settings={alertSettings}
+            permission={notifyPermission}
+            log={alertLog}
+            onChange={handleAlertSettings}
+            onRequestPermission={handleRequestPermission}
+            onClose={() => setShowAlerts(false)}
+          />
+        )}
+        {showCollector && (
+          <CollectorSettings
+            settings={collectorSettings}
+            status={collectorStatus}
+            test={collectorTest}
+            onChange={setCollectorSettings}
+            onTest={handleCollectorTest}
+            onClearQueue={() => collectorRef.current?.clearQueue()}
+            onClose={() => setShowCollector(false)}
+          />
+        )}
+
         {/* Top row: Pulse + Metrics + Readiness */}
         <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
           {/* Pulse Orb */}
           <div className="flex flex-col items-center justify-center rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
             <p className="mb-4 text-xs font-semibold uppercase tracking-widest text-slate-400">Connection Health</p>
-            {running ? (
+            {live ? (
               <PulseOrb health={health} score={score} />
             ) : (
               <div className="flex flex-col items-center gap-3">
@@ -643,21 +2925,40 @@ export default function App() {
 
           {/* Metric Cards */}
           <div className="space-y-3 rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
-            <p className="text-xs font-semibold uppercase tracking-widest text-slate-400">Live Telemetry</p>
-            <MetricCard icon={Clock}      label="Latency (RTT)" value={metrics.rtt}    unit="ms"  health={running ? rttH  : 'good'} />
-            <MetricCard icon={Activity}   label="Jitter"        value={metrics.jitter} unit="ms"  health={running ? jitH  : 'good'} />
-            <MetricCard icon={BarChart2}  label="Packet Loss"   value={metrics.loss}   unit="%"   health={running ? lossH : 'good'} />
+            <div className="flex items-center justify-between">
+              <p className="text-xs font-semibold uppercase tracking-widest text-slate-400">Live Telemetry</p>
+              {live && lastSource && (
+                <span className="text-xs text-slate-500">via {sourceLabel(lastSource)}</span>
+              )}
+            </div>
+            <MetricCard icon={Clock}      label="Latency (RTT)" value={metrics.rtt}    unit="ms"  health={live ? rttH  : 'good'} />
+            <MetricCard icon={Activity}   label="Jitter"        value={metrics.jitter} unit="ms"  health={live ? jitH  : 'good'} />
+            <MetricCard icon={BarChart2}  label="Packet Loss"   value={metrics.loss}   unit="%"   health={live ? lossH : 'good'} />
+            {throughput && (
+              <div className="grid grid-cols-2 gap-3">
+                <MetricCard icon={Download} label="Download" value={throughput.down} unit="Mbps" digits={1} health={throughputHealth(throughput.down, 'down')} />
+                <MetricCard icon={Upload}   label="Upload"   value={throughput.up}   unit="Mbps" digits={1} health={throughputHealth(throughput.up, 'up')} />
+              </div>
+            )}
+            {live && seqCounts && (
+              <div className="grid grid-cols-2 gap-3">
+                <MetricCard icon={Copy}    label="Duplicates"   value={seqCounts.duplicates} unit="pkts" digits={0} health={seqCounts.duplicates > 0 ? 'warning' : 'good'} />
+                <MetricCard icon={Shuffle} label="Out of order" value={seqCounts.reordered}  unit="pkts" digits={0} health={seqCounts.reordered  > 0 ? 'warning' : 'good'} />
+              </div>
+            )}
+            <MediaQuality current={mediaCurrent} summary={mediaSummary} starting={mediaStarting} left={mediaLeft} error={mediaError} onRun={handleMediaTest} />
           </div>
 
           {/* Readiness + Stress */}
           <div className="flex flex-col items-center justify-between rounded-2xl border border-slate-700/50 bg-slate-800/50 p-6">
-            <p className="text-xs font-semibold uppercase tracking-widest text-slate-400">Zoom Readiness</p>
-            <ReadinessMeter score={score} />
+            <p className="text-xs font-semibold uppercase tracking-widest text-slate-400">{profile.app} Readiness</p>
+            <ReadinessMeter score={score} throughput={throughput} app={profile.app} />
+            {live && <VoiceQuality quality={voiceQuality(metrics)} />}
             <div className="w-full space-y-2">
               <motion.button
                 whileTap={{ scale: 0.97 }}
                 onClick={handleStress}
-                disabled={!running || stress}
+                disabled={!running || stress || measuringBw}
                 className={`w-full flex items-center justify-center gap-2 rounded-lg px-4 py-2.5 text-sm font-semibold transition-colors ${
                   stress
                     ? 'bg-orange-600/30 text-orange-400 border border-orange-500/40 cursor-not-allowed'
@@ -668,9 +2969,37 @@ export default function App() {
               >
                 <Zap className="h-4 w-4" />
                 {stress
-                  ? `Stress Test… ${stressLeft}s`
+                  ? (stressLeft > 0 ? `Stress Test… ${stressLeft}s` : 'Starting load…')
                   : 'Run Pre-flight Stress Test'}
               </motion.button>
+              <motion.button
+                whileTap={{ scale: 0.97 }}
+                onClick={handleThroughput}
+                disabled={stress || measuringBw}
+                className={`w-full flex items-center justify-center gap-2 rounded-lg px-4 py-2 text-sm font-semibold transition-colors ${
+                  stress || measuringBw
+                    ? 'bg-slate-700/50 text-slate-500 border border-slate-600/40 cursor-not-allowed'
+                    : 'bg-sky-600/20 text-sky-400 border border-sky-500/40 hover:bg-sky-600/30 cursor-pointer'
+                }`}
+              >
+                <Gauge className="h-4 w-4" />
+                {measuringBw ? 'Measuring bandwidth…' : 'Measure Bandwidth'}
+              </motion.button>
+              <input
+                type="url"
+                value={loadEndpoint}
+                disabled={stress || measuringBw}
+                onChange={(e) => setLoadEndpoint(e.target.value)}
+                className="w-full rounded-lg border border-slate-700 bg-slate-800 px-2 py-1.5 text-xs text-slate-400 disabled:opacity-50"
+                aria-label="Load test endpoint"
+                title="Test server used for the stress and bandwidth tests"
+              />
+              {loadError && (
+                <p className="flex items-center gap-1 text-xs text-red-400">
+                  <AlertTriangle className="h-3 w-3 shrink-0" />
+                  {loadError}
+                </p>
+              )}
               {stress && (
                 <motion.div
                   className="h-1.5 w-full rounded-full bg-slate-700 overflow-hidden"
@@ -694,8 +3023,13 @@ export default function App() {
             <div className="flex items-center gap-2">
               <Activity className="h-5 w-5 text-violet-400" />
               <h2 className="font-bold text-slate-200">Live Seismograph</h2>
-              <span className="text-xs text-slate-500">(last {MAX_POINTS}s rolling window)</span>
             </div>
+            {replay && (
+              <span className="flex items-center gap-1 rounded-md border border-sky-500/30 bg-sky-500/20 px-2 py-1 text-xs font-semibold text-sky-300">
+                <Play className="h-3 w-3" />
+                REPLAY {replay.speed}x
+              </span>
+            )}
             {stress && (
               <span className="flex items-center gap-1 rounded-md bg-orange-500/20 px-2 py-1 text-xs font-semibold text-orange-400 border border-orange-500/30">
                 <Zap className="h-3 w-3" />
@@ -703,11 +3037,11 @@ export default function App() {
               </span>
             )}
           </div>
-          {running ? (
+          {live ? (
             <SeismographChart
-              jitterData={history.jitter}
-              latencyData={history.rtt}
-              labels={history.labels}
+              samples={samples}
+              profile={viewProfile}
+              markers={[...spikeMarkers(analysis?.spikes), ...alertMarkers(shownAlerts), ...annotationMarkers(shownNotes)]}
             />
           ) : (
             <div className="flex h-[220px] items-center justify-center text-slate-600">
@@ -722,15 +3056,69 @@ export default function App() {
             <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-2.5 rounded-sm bg-green-500/60" />Optimal zone</span>
             <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-2.5 rounded-sm bg-yellow-400/60" />Caution zone</span>
             <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-2.5 rounded-sm bg-red-500/60" />Danger zone</span>
+            {shownAlerts.length > 0 && (
+              <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-0.5 bg-red-400" />Alert fired</span>
+            )}
+            {shownNotes.length > 0 && (
+              <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-0.5 bg-amber-400" />Annotation</span>
+            )}
+            {samples.some(isSynthetic) && (
+              <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-2.5 rounded-sm bg-amber-400/30" />Synthetic (hatched: simulated fallback)</span>
+            )}
           </div>
+          {live && analysis && <SpikeFindings analysis={analysis} />}
+          {live && <Annotations annotations={shownNotes} onAdd={running ? handleAddNote : undefined} />}
         </div>
 
+        {live && <StatisticsPanel samples={samples} />}
+        {live && <AdvisorPanel advice={advice} enoughData={recent.length >= 30} />}
+
+        <ScheduledChecks
+          schedule={schedule}
+          checks={checks ?? []}
+          running={checkRunning}
+          lastRunAt={lastCheckAt}
+          error={checkError}
+          onChange={setSchedule}
+          onRunNow={handleRunCheck}
+          onClear={handleClearChecks}
+        />
+
+        <IcePanel
+          servers={iceServers}
+          report={iceReport}
+          checking={iceChecking}
+          error={iceError}
+          onServersChange={setIceServers}
+          onRun={handleIceCheck}
+        />
+
         {/* Stress Test History */}
         <StressTestHistory results={stressTestResults} />
 
+        {/* Recorded sessions */}
+        {openSession && (
+          <SessionViewer
+            session={openSession}
+            profile={profile}
+            canReplay={!running}
+            onReplay={handleReplay}
+            onClose={() => setOpenSession(null)}
+          />
+        )}
+        <SessionBrowser
+          sessions={sessions}
+          recordingId={recordingId}
+          sessionError={sessionError}
+          onOpen={handleOpenSession}
+          onRename={handleRenameSession}
+          onDelete={handleDeleteSession}
+          onImport={handleImportSession}
+        />
+
         {/* Bottom row: Legend + status bar */}
         <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
-          <PersistentLegend />
+          <PersistentLegend profile={profile} />
 
           <div className="rounded-xl border border-slate-700/50 bg-slate-800/50 p-4">
             <div className="mb-3 flex items-center gap-2">
@@ -741,7 +3129,7 @@ export default function App() {
               <p><span className="font-semibold text-violet-400">Jitter spikes:</span> Cause choppy audio — participants sound robotic or cut out intermittently.</p>
               <p><span className="font-semibold text-sky-400">Latency spikes:</span> Create awkward conversation delays and echo. Noticeable above 150ms.</p>
               <p><span className="font-semibold text-red-400">Packet loss:</span> Triggers Zoom's error-correction; above 2% video pixelates &amp; freezes.</p>
-              <p><span className="font-semibold text-orange-400">Stress test:</span> Simulates heavy network congestion to expose hidden instability before a call.</p>
+              <p><span className="font-semibold text-orange-400">Stress test:</span> Saturates upload and download while probing latency, exposing bufferbloat before a call.</p>
             </div>
           </div>
         </div>
@@ -0,0 +1,210 @@
+import { isFallback } from './provenance.js';
+
+// ─── Troubleshooting advisor ──────────────────────────────────────────────────
+// A small rules engine over what the session has measured so far. Each rule
+// looks at the context and either stays quiet or returns one piece of advice
+// with the evidence that triggered it. Results are ranked by severity, then by
+// `weight`: 0–1, how far past its trigger the evidence is.
+//
+// Context (every field optional; rules skip what isn't there):
+//   stats              summarize() of the live window (stats.js)
+//   analysis           analyzeSamples() result (analysis.js)
+//   stressTests        stress test results, oldest first
+//   thresholds         active profile thresholds
+//   throughput         { down, up } in Mbps
+//   source             chosen probe source id
+//   samples            recent samples, for source provenance
+//   connectionChanges  [{ t, type, effectiveType }]
+//   ice                { udpReachable, natType, gatherMs }
+//   mediaTest          summarizeMedia() of the latest media loopback test
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+const MIN_SAMPLES = 30; // don't judge variance on less than half a minute
+
+const fmt = (v, digits = 0) => v.toFixed(digits);
+
+export const ADVICE_RULES = [
+  {
+    id: 'bufferbloat',
+    test({ stressTests = [] }) {
+      const r = [...stressTests].reverse().find((t) => t.loaded && t.bloat != null);
+      if (!r || r.bloat < 30) return null;
+      return {
+        severity: r.bloat >= 100 ? 'high' : 'medium',
+        weight:   Math.min(1, r.bloat / 400),
+        title:    `Latency rises ${fmt(r.bloat)} ms under load: bufferbloat`,
+        advice:   'Enable SQM / Smart Queue Management (fq_codel or CAKE) or QoS on your router, set a little below your line speed. Until then, pause large uploads and downloads during calls.',
+        evidence: [`Stress test #${r.index}: idle ${fmt(r.idleRtt)} ms → loaded ${fmt(r.avgRtt)} ms (grade ${r.grade})`],
+      };
+    },
+  },
+  {
+    id: 'loss-under-load',
+    test({ stressTests = [], stats }) {
+      const r = [...stressTests].reverse().find((t) => t.loaded);
+      if (!r || !stats || r.avgLoss < 1 || r.avgLoss < stats.loss.mean * 3) return null;
+      return {
+        severity: 'medium',
+        weight:   Math.min(1, r.avgLoss / 10),
+        title:    'Packets are dropped when the link is busy',
+        advice:   'Router queues overflow under load. Queue management (SQM) helps, and so does keeping other heavy traffic off the network during calls.',
+        evidence: [`Stress test #${r.index}: ${fmt(r.avgLoss, 2)}% loss under load vs ${fmt(stats.loss.mean, 2)}% idle`],
+      };
+    },
+  },
+  {
+    id: 'periodic-spikes',
+    test({ analysis }) {
+      const p = analysis?.patterns[0];
+      if (!p) return null;
+      const scheduled = p.period >= 10 * 60;
+      return {
+        severity: p.metric === 'loss' || p.strength >= 0.8 ? 'high' : 'medium',
+        weight:   p.strength,
+        title:    `Periodic spikes: ${p.text.toLowerCase()}`,
+        advice:   scheduled
+          ? 'Something on a timer is saturating the link: look for backups, cloud sync or update checks scheduled at this interval and move them outside call hours.'
+          : 'Regular spikes every few tens of seconds are typical of Wi-Fi background scanning (location services, roaming). Try wired Ethernet; on Wi-Fi, turn off location scanning or pin the network.',
+        evidence: analysis.patterns.map((q) => `${q.text}: ${q.repeats} spikes, ${Math.round(q.strength * 100)}% autocorrelation`),
+      };
+    },
+  },
+  {
+    id: 'jitter-variance',
+    test({ stats, thresholds }) {
+      if (!stats || !thresholds || stats.count < MIN_SAMPLES) return null;
+      const { p95, stddev, p50 } = stats.jitter;
+      if (p95 <= thresholds.jitter.warn && stddev <= thresholds.jitter.good) return null;
+      return {
+        severity: p95 > thresholds.jitter.warn * 2 ? 'high' : 'medium',
+        weight:   Math.min(1, p95 / (thresholds.jitter.warn * 4)),
+        title:    'Jitter is erratic',
+        advice:   'Unstable packet timing usually comes from Wi-Fi interference or a congested link. Use wired Ethernet or 5 GHz closer to the access point, and stop other devices streaming.',
+        evidence: [`Jitter p50 ${fmt(p50)} ms, p95 ${fmt(p95)} ms, σ ${fmt(stddev, 1)} ms (warn above ${thresholds.jitter.warn} ms)`],
+      };
+    },
+  },
+  {
+    id: 'loss-bursts',
+    test({ stats }) {
+      if (!stats || stats.count < MIN_SAMPLES) return null;
+      const { bursts, longestBurst } = stats.loss;
+      if (bursts < 3 && longestBurst < 3) return null;
+      return {
+        severity: longestBurst >= 3 ? 'high' : 'medium',
+        weight:   Math.min(1, longestBurst / 10),
+        title:    `Packet loss comes in bursts (${bursts}, longest ${fmt(longestBurst)} s)`,
+        advice:   'Bursty loss freezes video. On Wi-Fi, check signal strength and interference; on a wired link, check cables and the modem\'s signal levels, and report repeated bursts to your ISP.',
+        evidence: [`${bursts} loss bursts, longest ${fmt(longestBurst)} s, longest clean streak ${fmt(stats.cleanStreak)} s`],
+      };
+    },
+  },
+  {
+    id: 'high-baseline',
+    test({ stats, thresholds }) {
+      if (!stats || !thresholds || stats.count < MIN_SAMPLES || stats.rtt.p50 <= thresholds.rtt.warn) return null;
+      return {
+        severity: 'medium',
+        weight:   Math.min(1, stats.rtt.p50 / (thresholds.rtt.warn * 4)),
+        title:    `High latency even when idle (${fmt(stats.rtt.p50)} ms median)`,
+        advice:   'Idle latency this high points at distance or routing rather than congestion: turn off VPNs and proxies, and check whether the test endpoint is far away.',
+        evidence: [`RTT p50 ${fmt(stats.rtt.p50)} ms vs warning threshold ${thresholds.rtt.warn} ms`],
+      };
+    },
+  },
+  {
+    id: 'connection-changes',
+    test({ connectionChanges = [] }) {
+      if (connectionChanges.length === 0) return null;
+      const types = [...new Set(connectionChanges.map((c) => c.type ?? c.effectiveType).filter(Boolean))];
+      return {
+        severity: connectionChanges.length >= 3 ? 'high' : 'medium',
+        weight:   Math.min(1, connectionChanges.length / 5),
+        title:    `The network connection changed ${connectionChanges.length} time${connectionChanges.length === 1 ? '' : 's'}`,
+        advice:   'Each switch drops or re-routes the call. Stay on one network: turn off automatic Wi-Fi/cellular switching or "Wi-Fi assist" during calls.',
+        evidence: [`Seen: ${types.join(', ') || 'unknown connection types'}`],
+      };
+    },
+  },
+  {
+    id: 'udp-blocked',
+    test({ ice }) {
+      if (!ice || ice.udpReachable !== false) return null;
+      return {
+        severity: 'high',
+        weight:   1,
+        title:    'UDP is blocked',
+        advice:   'Without UDP, conferencing apps fall back to TCP or TLS relays, which add latency and stall on loss. Ask your network admin to allow outbound UDP (Zoom uses 8801–8810 and 3478–3479).',
+        evidence: ['No server-reflexive ICE candidates were gathered from any STUN server'],
+      };
+    },
+  },
+  {
+    id: 'symmetric-nat',
+    test({ ice }) {
+      if (ice?.natType !== 'symmetric') return null;
+      return {
+        severity: 'medium',
+        weight:   1,
+        title:    'Symmetric NAT detected',
+        advice:   'Peer-to-peer media can\'t traverse this NAT, so calls go through relay servers. Avoid double NAT (ISP router plus your own), or put the ISP box in bridge mode.',
+        evidence: ['Different STUN servers saw different public ports for the same local socket'],
+      };
+    },
+  },
+  {
+    id: 'media-limited',
+    test({ mediaTest }) {
+      if (!mediaTest || mediaTest.limitedShare < 30) return null;
+      const cpu = mediaTest.limitedBy.includes('cpu');
+      return {
+        severity: mediaTest.limitedShare >= 70 ? 'high' : 'medium',
+        weight:   mediaTest.limitedShare / 100,
+        title:    cpu ? 'The video encoder is short of CPU' : 'The video encoder is held back by bandwidth',
+        advice:   cpu
+          ? 'Close heavy apps and browser tabs, plug in the laptop, or turn off HD video and virtual backgrounds in the call settings.'
+          : 'The encoder lowered quality to fit the available bandwidth even on a local loopback, so the machine itself is congested. Pause uploads and syncs during calls.',
+        evidence: [`Quality limited ${mediaTest.limitedShare.toFixed(0)}% of the test (${mediaTest.limitedBy.join(', ')}), ${mediaTest.width}×${mediaTest.height} at ${mediaTest.sentFps.toFixed(0)} fps`],
+      };
+    },
+  },
+  {
+    id: 'slow-upload',
+    test({ throughput }) {
+      if (!throughput || throughput.up >= 1.2) return null;
+      return {
+        severity: 'high',
+        weight:   1 - throughput.up / 1.2,
+        title:    `Upload is only ${fmt(throughput.up, 1)} Mbps`,
+        advice:   'That is not enough to send 720p video. Stop cloud sync and uploads on this network, or switch off your camera to keep audio clear.',
+        evidence: [`Measured ${fmt(throughput.down, 1)} Mbps down / ${fmt(throughput.up, 1)} Mbps up`],
+      };
+    },
+  },
+  {
+    id: 'simulated-fallback',
+    test({ source, samples = [] }) {
+      if (!source || source === 'simulated' || samples.length === 0) return null;
+      const simulated = samples.filter((s) => isFallback(s, source)).length;
+      if (simulated / samples.length < 0.2) return null;
+      return {
+        severity: 'low',
+        weight:   simulated / samples.length,
+        title:    'Some of these numbers are simulated',
+        advice:   'The chosen probe stopped reporting, so the dashboard filled in with simulated data. Check the probe endpoint (is the test server running?) before trusting the readings.',
+        evidence: [`${Math.round((simulated / samples.length) * 100)}% of recent samples came from the simulator`],
+      };
+    },
+  },
+];
+
+// → [{ id, severity, weight, title, advice, evidence }] most important first
+export function advise(context, rules = ADVICE_RULES) {
+  return rules
+    .map((rule) => {
+      const found = rule.test(context);
+      return found && { id: rule.id, ...found };
+    })
+    .filter(Boolean)
+    .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.weight - a.weight);
+}
@@ -0,0 +1,162 @@
+// ─── Health alerts ────────────────────────────────────────────────────────────
+// Rules watch the per-second sample stream and fire when a condition holds:
+//   kind 'sustained'  condition true for `forSec` seconds in a row
+//   kind 'count'      condition true on `count` samples within `windowSec`
+// A rule that fired is disarmed until its condition has been false for
+// `clearSec` seconds (hysteresis), and never fires twice within `cooldownSec`,
+// so a flapping link raises one alert instead of dozens.
+//
+// Conditions: { metric: 'health', level: 'warning' | 'critical' }
+//             { metric: 'rtt' | 'jitter' | 'loss', above: n }
+//             { metric: 'score', below: n }
+// Channels per rule: notify (desktop notification), sound, title (tab badge).
+
+const STORAGE_KEY = 'zoom-meter.alerts';
+
+const HEALTH_RANK = { good: 0, warning: 1, critical: 2 };
+
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'critical-sustained',
+    name: 'Critical connection',
+    enabled: true,
+    kind: 'sustained',
+    condition: { metric: 'health', level: 'critical' },
+    forSec: 5,
+    clearSec: 10,
+    cooldownSec: 60,
+    channels: { notify: true, sound: true, title: true },
+  },
+  {
+    id: 'loss-bursts',
+    name: 'Repeated packet loss',
+    enabled: true,
+    kind: 'count',
+    condition: { metric: 'loss', above: 2 },
+    count: 3,
+    windowSec: 60,
+    clearSec: 30,
+    cooldownSec: 120,
+    channels: { notify: true, sound: false, title: true },
+  },
+  {
+    id: 'warning-sustained',
+    name: 'Degraded for 30 s',
+    enabled: false,
+    kind: 'sustained',
+    condition: { metric: 'health', level: 'warning' },
+    forSec: 30,
+    clearSec: 30,
+    cooldownSec: 300,
+    channels: { notify: false, sound: false, title: true },
+  },
+];
+
+export function describeCondition({ metric, level, above, below }) {
+  if (metric === 'health') return `health ${level === 'critical' ? 'is critical' : 'is warning or worse'}`;
+  if (metric === 'score') return `score < ${below}`;
+  const unit = metric === 'loss' ? '%' : ' ms';
+  return `${metric === 'rtt' ? 'RTT' : metric} > ${above}${unit}`;
+}
+
+export function describeRule(rule) {
+  const cond = describeCondition(rule.condition);
+  return rule.kind === 'sustained'
+    ? `${cond} for ${rule.forSec} s`
+    : `${cond} ${rule.count} times within ${rule.windowSec} s`;
+}
+
+export function conditionHolds({ metric, level, above, below }, sample) {
+  if (metric === 'health') return HEALTH_RANK[sample.health] >= HEALTH_RANK[level];
+  if (metric === 'score') return sample.score < below;
+  return sample[metric] > above;
+}
+
+const freshState = () => ({ since: null, hits: [], armed: true, clearSince: null, lastFired: -Infinity });
+
+export class AlertEngine {
+  constructor(rules = DEFAULT_ALERT_RULES) {
+    this.setRules(rules);
+  }
+
+  // Editing rules mid-session keeps each surviving rule's hysteresis and
+  // cooldown, so a tweak can't make an alert fire again straight away
+  setRules(rules) {
+    const previous = this.state ?? new Map();
+    this.rules = rules;
+    this.state = new Map(rules.map((r) => [r.id, previous.get(r.id) ?? freshState()]));
+  }
+
+  reset() {
+    this.state = new Map(this.rules.map((r) => [r.id, freshState()]));
+  }
+
+  // Ids of rules that fired and haven't cleared yet
+  activeRuleIds() {
+    return this.rules.filter((r) => r.enabled && !this.state.get(r.id).armed).map((r) => r.id);
+  }
+
+  // sample: { t, rtt, jitter, loss, health, score } → alerts fired by it
+  evaluate(sample) {
+    const fired = [];
+    this.rules.forEach((rule) => {
+      if (!rule.enabled) return;
+      const st = this.state.get(rule.id);
+      const { t } = sample;
+      const holds = conditionHolds(rule.condition, sample);
+
+      if (holds) {
+        st.clearSince = null;
+        st.since ??= t;
+        st.hits.push(t);
+      } else {
+        st.since = null;
+        if (!st.armed) {
+          st.clearSince ??= t;
+          if (t - st.clearSince >= rule.clearSec * 1000) st.armed = true;
+        }
+      }
+      if (rule.kind === 'count') st.hits = st.hits.filter((h) => t - h < rule.windowSec * 1000);
+
+      const triggered = rule.kind === 'sustained'
+        ? holds && t - st.since >= rule.forSec * 1000
+        : st.hits.length >= rule.count;
+      if (!triggered || !st.armed || t - st.lastFired < rule.cooldownSec * 1000) return;
+
+      st.armed = false;
+      st.lastFired = t;
+      st.hits = [];
+      fired.push({ ruleId: rule.id, name: rule.name, t, message: describeRule(rule), channels: rule.channels });
+    });
+    return fired;
+  }
+}
+
+// What the sampler worker needs to send alert-relevant samples straight away
+// instead of holding them for a hidden-tab batch; null when alerts are off
+export function alertWatch(settings, { thresholds, weights }) {
+  if (!settings.enabled) return null;
+  return { thresholds, weights, conditions: settings.rules.filter((r) => r.enabled).map((r) => r.condition) };
+}
+
+export function loadAlertSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (raw && Array.isArray(raw.rules)) {
+      // Keep stored tweaks, but pick up rules added since they were saved
+      const rules = DEFAULT_ALERT_RULES.map((d) => ({ ...d, ...raw.rules.find((r) => r.id === d.id) }));
+      return { enabled: !!raw.enabled, rules };
+    }
+  } catch {
+    // fall through to defaults
+  }
+  return { enabled: false, rules: DEFAULT_ALERT_RULES };
+}
+
+export function saveAlertSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or disabled
+  }
+}
@@ -0,0 +1,138 @@
+import { percentile } from './stats.js';
+
+// ─── Spike and periodic-interference analysis ─────────────────────────────────
+// Spikes: a sample more than k·MAD (and at least a metric-specific floor) above
+// the rolling median of the samples before it. Consecutive spike samples merge
+// into one event.
+//
+// Periodicity: the autocorrelation of each metric's spike train. For a sparse
+// impulse train this is the histogram of time differences between spike pairs,
+// smoothed so a Wi-Fi scan that drifts by a second still lines up. The
+// strongest lag (preferring the fundamental over its multiples) becomes a
+// finding such as "Latency spike every ~32 s".
+
+const BASELINE_SAMPLES = 30;   // rolling baseline length
+const BASELINE_STRIDE  = 5;    // samples between baseline updates; it moves slowly anyway
+const MIN_BASELINE     = 10;   // samples needed before spikes are judged
+const MAD_K            = 4;    // spike threshold in scaled MADs
+const MIN_PERIOD       = 5;    // s — shortest period worth reporting
+const MAX_PERIOD       = 3600; // s — the top-of-the-hour backup job
+const MIN_REPEATS      = 3;    // spikes needed before calling anything periodic
+const MIN_STRENGTH     = 0.5;  // share of spikes followed by another one period later
+
+export const SPIKE_METRICS = {
+  rtt:    { label: 'Latency', unit: 'ms', floor: 25 },
+  jitter: { label: 'Jitter',  unit: 'ms', floor: 15 },
+  loss:   { label: 'Loss',    unit: '%',  floor: 1 },
+};
+
+function median(values) {
+  return percentile([...values].sort((a, b) => a - b), 0.5);
+}
+
+export function detectSpikes(samples, metric, { interval = 1000 } = {}) {
+  const { floor } = SPIKE_METRICS[metric];
+  const events = [];
+  let current = null;
+  let base = 0;
+  let threshold = Infinity;
+
+  for (let i = MIN_BASELINE; i < samples.length; i += 1) {
+    const s = samples[i];
+    if (i === MIN_BASELINE || i % BASELINE_STRIDE === 0) {
+      const window = samples.slice(Math.max(0, i - BASELINE_SAMPLES), i).map((p) => p[metric]);
+      base = median(window);
+      const mad = median(window.map((v) => Math.abs(v - base))) * 1.4826;
+      threshold = base + Math.max(MAD_K * mad, floor);
+    }
+    const isSpike = s[metric] > threshold;
+
+    if (isSpike && current && !s.gap && s.t - current.end <= interval * 1.5) {
+      current.end = s.t;
+      current.peak = Math.max(current.peak, s[metric]);
+    } else if (isSpike) {
+      current = { metric, t: s.t, end: s.t, peak: s[metric], baseline: base };
+      events.push(current);
+    } else {
+      current = null;
+    }
+  }
+  return events;
+}
+
+// Autocorrelation of a spike train at 1 s lags; returns the best period or null
+export function detectPeriod(times) {
+  if (times.length < MIN_REPEATS) return null;
+  const span = (times[times.length - 1] - times[0]) / 1000;
+  const maxLag = Math.min(MAX_PERIOD, Math.floor(span / (MIN_REPEATS - 1)));
+  if (maxLag < MIN_PERIOD) return null;
+
+  const acf = new Float64Array(maxLag + 2);
+  for (let i = 0; i < times.length; i += 1) {
+    for (let j = i + 1; j < times.length; j += 1) {
+      const dt = (times[j] - times[i]) / 1000;
+      if (dt > maxLag + 1) break;
+      // Triangular kernel, ±10% of the lag but at least ±2 s
+      const w = Math.max(2, dt * 0.1);
+      for (let lag = Math.max(1, Math.ceil(dt - w)); lag <= Math.min(maxLag, Math.floor(dt + w)); lag += 1) {
+        acf[lag] += 1 - Math.abs(dt - lag) / (w + 1);
+      }
+    }
+  }
+
+  // Normalise to "share of spikes with a successor at this lag": only spikes
+  // at least one lag before the end of the span can have one
+  const last = times[times.length - 1];
+  const possible = (lag) => {
+    let n = 0;
+    while (n < times.length && times[n] + lag * 1000 <= last + 1000) n += 1;
+    return n;
+  };
+  let best = null;
+  for (let lag = MIN_PERIOD; lag <= maxLag; lag += 1) {
+    const n = possible(lag);
+    if (n < MIN_REPEATS - 1) continue;
+    const strength = Math.min(1, acf[lag] / n);
+    if (!best || strength > best.strength) best = { lag, strength };
+  }
+  if (!best || best.strength < MIN_STRENGTH) return null;
+
+  // Multiples of the true period score nearly as well; take the shortest lag
+  // that gets close, then refine it from the actual spike spacing
+  let lag = best.lag;
+  for (let div = Math.floor(best.lag / MIN_PERIOD); div >= 2; div -= 1) {
+    const candidate = Math.round(best.lag / div);
+    const n = possible(candidate);
+    if (n > 0 && acf[candidate] / n >= best.strength * 0.8) { lag = candidate; break; }
+  }
+  const near = [];
+  for (let i = 1; i < times.length; i += 1) {
+    const dt = (times[i] - times[i - 1]) / 1000;
+    if (Math.abs(dt - lag) <= Math.max(2, lag * 0.1)) near.push(dt);
+  }
+  if (near.length < MIN_REPEATS - 1) return null;
+  return { period: median(near), strength: best.strength, repeats: near.length + 1 };
+}
+
+export function formatPeriod(seconds) {
+  if (seconds >= 90 * 60) return `${(seconds / 3600).toFixed(1)} h`;
+  if (seconds >= 120) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds)} s`;
+}
+
+// → { spikes: [event], patterns: [{ metric, period, strength, repeats, text }] }
+export function analyzeSamples(samples, options) {
+  const spikes = [];
+  const patterns = [];
+  Object.entries(SPIKE_METRICS).forEach(([metric, { label }]) => {
+    const events = detectSpikes(samples, metric, options);
+    spikes.push(...events);
+    const found = detectPeriod(events.map((e) => e.t));
+    if (found) {
+      patterns.push({ metric, ...found, text: `${label} spike every ~${formatPeriod(found.period)}` });
+    }
+  });
+  spikes.sort((a, b) => a.t - b.t);
+  patterns.sort((a, b) => b.strength - a.strength);
+  return { spikes, patterns };
+}
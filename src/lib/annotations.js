@@ -0,0 +1,34 @@
+// ─── Timeline annotations ─────────────────────────────────────────────────────
+// Markers saved with a session so a review can line the graph up with what was
+// happening: notes the user adds ("call started", "video froze here") and
+// events the app sees on its own. Each annotation is { t, kind, label } plus,
+// for `network`, the Network Information fields at the time of the change.
+
+export const ANNOTATION_KINDS = {
+  note:       { name: 'Note',           color: '#fbbf24' },
+  online:     { name: 'Online',         color: '#4ade80' },
+  offline:    { name: 'Offline',        color: '#f97316' },
+  network:    { name: 'Network change', color: '#2dd4bf' },
+  visibility: { name: 'Tab visibility', color: '#94a3b8', tick: true }, // frequent, so no line
+  stress:     { name: 'Stress test',    color: '#fb923c' },
+};
+
+export const QUICK_NOTES = ['Call started', 'Call ended', 'Video froze here', 'Audio dropped', 'Someone started streaming'];
+
+export function annotation(kind, label, extra = {}) {
+  return { t: Date.now(), kind, label, ...extra };
+}
+
+// From a Network Information `change` event
+export function networkAnnotation(conn) {
+  const { type, effectiveType, downlink, rtt } = conn;
+  const parts = [type, effectiveType, downlink != null && `${downlink} Mbps`].filter(Boolean);
+  return annotation('network', `Network: ${parts.join(' · ') || 'changed'}`, { type, effectiveType, downlink, rtt });
+}
+
+// The shape the advisor's connection-changes rule expects
+export function connectionChanges(annotations = []) {
+  return annotations
+    .filter((a) => a.kind === 'network')
+    .map(({ t, type, effectiveType, downlink }) => ({ t, type, effectiveType, downlink }));
+}
@@ -0,0 +1,376 @@
+import { isSynthetic } from './provenance.js';
+
+// ─── Collector integration ────────────────────────────────────────────────────
+// Pushes measurements into an existing monitoring stack. Samples, stress test
+// summaries and fired alerts are gathered as they happen and sent as one batch
+// every `everySec` seconds, in one of three formats:
+//   json          a webhook-style document (see `toJSONPayload`)
+//   openmetrics   OpenMetrics text with a timestamp on every sample
+//   remote-write  Prometheus remote-write 1.0: a snappy-compressed protobuf
+//                 WriteRequest, as Prometheus, Mimir, VictoriaMetrics etc. accept
+// A failed send is retried with backoff. Batches that still don't get through,
+// or that are built while the browser is offline, wait in a queue kept in
+// localStorage and go out oldest first once the collector answers again.
+// `npm run collector` starts a local stand-in (server/collector.js).
+
+const STORAGE_KEY       = 'zoom-meter.collector';
+const STORAGE_KEY_QUEUE = 'zoom-meter.collectorQueue';
+
+const RETRIES      = 3;     // extra attempts per send before a batch is queued
+const RETRY_DELAY  = 1000;  // ms before the first retry, doubling after that
+const SEND_TIMEOUT = 10000; // ms per request
+const MAX_QUEUED   = 360;   // batches kept while the collector is unreachable (an hour at 10 s)
+
+export const COLLECTOR_FORMATS = {
+  json:           { name: 'JSON webhook',            contentType: 'application/json' },
+  openmetrics:    { name: 'OpenMetrics text',        contentType: 'application/openmetrics-text; version=1.0.0; charset=utf-8' },
+  'remote-write': { name: 'Prometheus remote-write', contentType: 'application/x-protobuf' },
+};
+
+export const COLLECTOR_INTERVALS = [5, 10, 30, 60]; // seconds between batches
+
+export const DEFAULT_COLLECTOR = {
+  enabled:  false,
+  url:      `http://${typeof location !== 'undefined' ? location.hostname : 'localhost'}:9091/ingest`,
+  format:   'json',
+  token:    '', // sent as a bearer token when set
+  instance: 'zoom-meter',
+  everySec: 10,
+};
+
+export function loadCollectorSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (raw && typeof raw === 'object') return { ...DEFAULT_COLLECTOR, ...raw };
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_COLLECTOR;
+}
+
+export function saveCollectorSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or disabled
+  }
+}
+
+function loadQueue() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY_QUEUE));
+    return Array.isArray(raw) ? raw : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveQueue(queue) {
+  try {
+    localStorage.setItem(STORAGE_KEY_QUEUE, JSON.stringify(queue));
+  } catch {
+    // storage full or disabled — the queue only lives until the page closes
+  }
+}
+
+// Reason the URL can't be used, or null
+export function collectorUrlProblem(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? null : 'Use an http:// or https:// URL';
+  } catch {
+    return 'Not a valid URL';
+  }
+}
+
+// ── Payloads ──
+// A batch is { instance, source, profile, samples, stressTests, alerts }.
+
+export function toJSONPayload(batch) {
+  return JSON.stringify({ format: 'zoom-meter-batch', version: 1, ...batch });
+}
+
+const METRICS = [
+  { name: 'zoommeter_rtt_milliseconds',           help: 'Round-trip time',                          from: 'samples',     value: (s) => s.rtt },
+  { name: 'zoommeter_jitter_milliseconds',        help: 'Jitter',                                   from: 'samples',     value: (s) => s.jitter },
+  { name: 'zoommeter_loss_percent',               help: 'Packet loss',                              from: 'samples',     value: (s) => s.loss },
+  { name: 'zoommeter_stress_score',               help: 'Readiness score during a stress test',     from: 'stressTests', value: (r) => r.score },
+  { name: 'zoommeter_stress_rtt_milliseconds',    help: 'Mean round-trip time during a stress test', from: 'stressTests', value: (r) => r.avgRtt },
+  { name: 'zoommeter_stress_jitter_milliseconds', help: 'Mean jitter during a stress test',          from: 'stressTests', value: (r) => r.avgJitter },
+  { name: 'zoommeter_stress_loss_percent',        help: 'Mean packet loss during a stress test',    from: 'stressTests', value: (r) => r.avgLoss },
+  { name: 'zoommeter_stress_mos',                 help: 'Estimated voice MOS during a stress test', from: 'stressTests', value: (r) => r.mos },
+  { name: 'zoommeter_stress_bloat_milliseconds',  help: 'RTT added by loading the link',            from: 'stressTests', value: (r) => r.bloat },
+  { name: 'zoommeter_alert_fired',                help: 'Health alert fired (1 at the time it fired)', from: 'alerts',   value: () => 1 },
+];
+
+function pointLabels(from, item) {
+  if (from === 'samples')     return { synthetic: String(isSynthetic(item)) };
+  if (from === 'stressTests') return { loaded: String(!!item.loaded) };
+  return { rule: item.ruleId };
+}
+
+// Every metric as series of [{ labels, points: [{ t, value }] }], in time order
+function toSeries(batch) {
+  const base = { instance: batch.instance, source: batch.source, profile: batch.profile };
+  return METRICS.map((metric) => {
+    const byKey = new Map();
+    batch[metric.from].forEach((item) => {
+      const value = metric.value(item);
+      if (!Number.isFinite(value)) return;
+      const labels = { ...base, ...pointLabels(metric.from, item) };
+      const key = JSON.stringify(labels);
+      if (!byKey.has(key)) byKey.set(key, { labels, points: [] });
+      byKey.get(key).points.push({ t: item.t, value });
+    });
+    const series = [...byKey.values()];
+    series.forEach((s) => s.points.sort((a, b) => a.t - b.t));
+    return { ...metric, series };
+  });
+}
+
+const escapeLabel = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+export function toOpenMetrics(batch) {
+  const lines = [];
+  toSeries(batch).forEach(({ name, help, series }) => {
+    if (series.length === 0) return;
+    lines.push(`# TYPE ${name} gauge`, `# HELP ${name} ${help}`);
+    series.forEach(({ labels, points }) => {
+      const set = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+      points.forEach(({ t, value }) => lines.push(`${name}{${set}} ${value} ${(t / 1000).toFixed(3)}`));
+    });
+  });
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
+
+// Minimal protobuf writer: just the wire types a WriteRequest needs
+class ProtoWriter {
+  constructor() { this.bytes = []; }
+
+  varint(n) {
+    while (n >= 0x80) {
+      this.bytes.push((n % 0x80) | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    this.bytes.push(n);
+  }
+
+  tag(field, wire) { this.varint(field * 8 + wire); }
+
+  message(field, write) {
+    const inner = new ProtoWriter();
+    write(inner);
+    this.tag(field, 2);
+    this.varint(inner.bytes.length);
+    this.bytes.push(...inner.bytes);
+  }
+
+  string(field, s) {
+    const utf8 = new TextEncoder().encode(s);
+    this.tag(field, 2);
+    this.varint(utf8.length);
+    this.bytes.push(...utf8);
+  }
+
+  double(field, v) {
+    const buf = new DataView(new ArrayBuffer(8));
+    buf.setFloat64(0, v, true);
+    this.tag(field, 1);
+    this.bytes.push(...new Uint8Array(buf.buffer));
+  }
+}
+
+// Snappy block format using literals only: every decoder accepts it, it just
+// isn't any smaller. Batches are a few kB, so compression isn't worth the code.
+function snappyLiteral(data) {
+  const out = new ProtoWriter();
+  out.varint(data.length);
+  for (let i = 0; i < data.length; i += 0x10000) {
+    const chunk = data.subarray(i, i + 0x10000);
+    const n = chunk.length - 1;
+    if (n < 60) out.bytes.push(n << 2);
+    else if (n < 0x100) out.bytes.push(60 << 2, n);
+    else out.bytes.push(61 << 2, n & 0xff, n >> 8);
+    for (let j = 0; j < chunk.length; j++) out.bytes.push(chunk[j]);
+  }
+  return new Uint8Array(out.bytes);
+}
+
+// WriteRequest { repeated TimeSeries timeseries = 1 }
+// TimeSeries   { repeated Label labels = 1; repeated Sample samples = 2 }
+// Label        { string name = 1; string value = 2 }
+// Sample       { double value = 1; int64 timestamp = 2 (ms) }
+export function toRemoteWrite(batch) {
+  const req = new ProtoWriter();
+  toSeries(batch).forEach(({ name, series }) => {
+    series.forEach(({ labels, points }) => {
+      // Labels sorted by name, as the spec requires
+      const sorted = Object.entries({ __name__: name, ...labels })
+        .filter(([, v]) => v != null && v !== '')
+        .sort(([a], [b]) => (a < b ? -1 : 1));
+      req.message(1, (ts) => {
+        sorted.forEach(([k, v]) => ts.message(1, (l) => { l.string(1, k); l.string(2, String(v)); }));
+        points.forEach(({ t, value }) => ts.message(2, (s) => { s.double(1, value); s.tag(2, 0); s.varint(t); }));
+      });
+    });
+  });
+  return snappyLiteral(new Uint8Array(req.bytes));
+}
+
+function encode(format, batch) {
+  const { contentType } = COLLECTOR_FORMATS[format];
+  if (format === 'openmetrics') return { body: toOpenMetrics(batch), headers: { 'Content-Type': contentType } };
+  if (format === 'remote-write') {
+    return {
+      body: toRemoteWrite(batch),
+      headers: { 'Content-Type': contentType, 'Content-Encoding': 'snappy', 'X-Prometheus-Remote-Write-Version': '0.1.0' },
+    };
+  }
+  return { body: toJSONPayload(batch), headers: { 'Content-Type': contentType } };
+}
+
+// ── Delivery ──
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const emptyBatch = () => ({ samples: [], stressTests: [], alerts: [] });
+
+// A 4xx other than timeout / rate limit means the collector will never take it
+const retryable = (status) => status >= 500 || status === 408 || status === 429;
+
+export class Collector {
+  constructor({ onStatus = () => {} } = {}) {
+    this.settings = DEFAULT_COLLECTOR;
+    this.meta = {};
+    this.pending = emptyBatch();
+    this.queue = loadQueue();
+    this.timer = null;
+    this.sending = false;
+    this.onStatus = onStatus;
+    this.status = { queued: this.queue.length, sending: false, lastSent: null, lastError: null, dropped: 0 };
+  }
+
+  get active() {
+    return this.settings.enabled && !collectorUrlProblem(this.settings.url);
+  }
+
+  // settings as from loadCollectorSettings; meta { source, profile } labels the next batches
+  configure(settings, meta) {
+    // What was gathered so far goes out under the labels it was gathered with
+    if (this.active) this.queuePending();
+    this.settings = settings;
+    this.meta = meta;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (!this.active) return;
+    this.timer = setInterval(() => this.flush(), settings.everySec * 1000);
+    this.drain();
+  }
+
+  addSamples(samples) {
+    if (this.active) this.pending.samples.push(...samples);
+  }
+
+  // Stress results carry a display timestamp only, so they're stamped on arrival
+  addStressTest(result) {
+    if (this.active) this.pending.stressTests.push({ t: Date.now(), ...result });
+  }
+
+  addAlert(alert) {
+    if (this.active) this.pending.alerts.push(alert);
+  }
+
+  // Moves what was gathered into the queue and starts sending
+  flush() {
+    this.queuePending();
+    this.drain();
+  }
+
+  queuePending() {
+    const { samples, stressTests, alerts } = this.pending;
+    if (samples.length + stressTests.length + alerts.length === 0) return;
+    this.queue.push({ instance: this.settings.instance, ...this.meta, ...this.pending });
+    this.pending = emptyBatch();
+    if (this.queue.length > MAX_QUEUED) {
+      this.status.dropped += this.queue.length - MAX_QUEUED;
+      this.queue.splice(0, this.queue.length - MAX_QUEUED);
+    }
+    saveQueue(this.queue);
+  }
+
+  async drain() {
+    if (this.sending || !this.active || this.queue.length === 0) return this.report();
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return this.report({ lastError: 'Offline — batches are queued' });
+    this.sending = true;
+    this.report();
+    while (this.queue.length > 0 && this.active) {
+      // The queue can be trimmed while this batch is in flight, so remove it by identity
+      const batch = this.queue[0];
+      const result = await this.deliver(batch);
+      if (result.ok || !result.retry) {
+        const at = this.queue.indexOf(batch);
+        if (at >= 0) this.queue.splice(at, 1);
+        saveQueue(this.queue);
+      }
+      if (result.ok) {
+        this.report({ lastSent: Date.now(), lastError: null });
+      } else {
+        this.report({ lastError: result.error });
+        if (result.retry) break;
+      }
+    }
+    this.sending = false;
+    this.report();
+  }
+
+  // Sends one batch, retrying with backoff → { ok, retry, error }
+  async deliver(batch) {
+    let failure;
+    for (let attempt = 0; attempt <= RETRIES; attempt++) {
+      if (attempt > 0) await sleep(RETRY_DELAY * 2 ** (attempt - 1));
+      failure = await this.send(batch);
+      if (failure == null) return { ok: true };
+      if (!failure.retry) break;
+    }
+    return { ok: false, ...failure };
+  }
+
+  // One POST → null on success, or { retry, error }
+  async send(batch) {
+    const { url, format, token } = this.settings;
+    const { body, headers } = encode(format, batch);
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), SEND_TIMEOUT);
+    try {
+      const res = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+      if (res.ok) return null;
+      return { retry: retryable(res.status), error: `Collector answered ${res.status}` };
+    } catch {
+      return { retry: true, error: `Cannot reach ${url}` };
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  // An empty batch straight to the collector, bypassing the queue → error or null
+  async test() {
+    const failure = await this.send({ instance: this.settings.instance, ...this.meta, ...emptyBatch() });
+    return failure?.error ?? null;
+  }
+
+  clearQueue() {
+    this.queue = [];
+    saveQueue(this.queue);
+    this.report({ lastError: null, dropped: 0 });
+  }
+
+  report(patch = {}) {
+    this.status = { ...this.status, ...patch, queued: this.queue.length, sending: this.sending };
+    this.onStatus(this.status);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
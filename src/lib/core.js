@@ -0,0 +1,162 @@
+import { clamp } from './util.js';
+import { summarize } from './stats.js';
+import { voiceQuality } from './emodel.js';
+import { realShare } from './provenance.js';
+import { missedIntervals } from './gaps.js';
+import { SimulatedProbe } from '../probes/simulated.js';
+
+// ─── Metric engine ────────────────────────────────────────────────────────────
+// The framework-free core shared by the dashboard, the sampler worker and the
+// `zoom-meter` CLI: health levels and readiness score for a profile, stress
+// test aggregation, and the poll loop that turns probe readings into samples.
+
+export function metricHealth(value, { good, warn }) {
+  if (value > warn) return 'critical';
+  if (value > good) return 'warning';
+  return 'good';
+}
+
+export function getHealth(rtt, jitter, loss, thresholds) {
+  const levels = [
+    metricHealth(rtt, thresholds.rtt),
+    metricHealth(jitter, thresholds.jitter),
+    metricHealth(loss, thresholds.loss),
+  ];
+  if (levels.includes('critical')) return 'critical';
+  if (levels.includes('warning')) return 'warning';
+  return 'good';
+}
+
+export function calcScore(rtt, jitter, loss, weights) {
+  // Start at 100; deduct points for each metric
+  const deduct = (v, { from, per, max }) => clamp((v - from) * per, 0, max);
+  let score = 100;
+  score -= deduct(rtt, weights.rtt);
+  score -= deduct(jitter, weights.jitter);
+  score -= deduct(loss, weights.loss);
+  return Math.round(clamp(score, 0, 100));
+}
+
+// Readiness colour for a 0–100 score
+export function readinessHealth(score) {
+  return score >= 75 ? 'good' : score >= 40 ? 'warning' : 'critical';
+}
+
+// Grade how far RTT rises once the link is saturated (latency under load)
+export function bufferbloatGrade(increase) {
+  if (increase < 5)   return 'A+';
+  if (increase < 30)  return 'A';
+  if (increase < 60)  return 'B';
+  if (increase < 200) return 'C';
+  if (increase < 400) return 'D';
+  return 'F';
+}
+
+// Mean rtt / jitter / loss over samples (zeros for none)
+export function averageMetrics(samples) {
+  const avg = (key) => (samples.length ? samples.reduce((a, s) => a + s[key], 0) / samples.length : 0);
+  return { rtt: avg('rtt'), jitter: avg('jitter'), loss: avg('loss') };
+}
+
+// One stress test result from the samples taken under load. `idleRtts` are
+// recent unloaded RTTs for the bufferbloat baseline.
+export function summarizeStress(data, { index, duration, interval, profile, idleRtts = [], loaded }) {
+  const { thresholds, weights } = profile;
+  const max = (key) => Math.max(...data.map((d) => d[key]));
+  const { rtt: avgRtt, jitter: avgJitter, loss: avgLoss } = averageMetrics(data);
+  const idleRtt = idleRtts.length > 0 ? idleRtts.reduce((a, b) => a + b, 0) / idleRtts.length : null;
+  const bloat = idleRtt != null ? Math.max(0, avgRtt - idleRtt) : null;
+  const quality = voiceQuality({ rtt: avgRtt, jitter: avgJitter, loss: avgLoss });
+  return {
+    index,
+    timestamp: new Date().toLocaleString(),
+    duration,
+    avgRtt,
+    avgJitter,
+    avgLoss,
+    maxRtt:    max('rtt'),
+    maxJitter: max('jitter'),
+    maxLoss:   max('loss'),
+    score:     calcScore(avgRtt, avgJitter, avgLoss, weights),
+    health:    getHealth(avgRtt, avgJitter, avgLoss, thresholds),
+    r:         quality.r,
+    mos:       quality.mos,
+    samples:   data.length,
+    stats:     summarize(data, { interval }),
+    real:      realShare(data),
+    loaded,
+    idleRtt,
+    bloat,
+    grade:     bloat != null ? bufferbloatGrade(bloat) : null,
+  };
+}
+
+// ─── Poll loop ────────────────────────────────────────────────────────────────
+// Calls `poll(stress)` once per interval, aligned to the interval grid; a tick
+// that runs late skips ahead and the next sample is flagged as a gap rather
+// than bunching samples together. When the poll has nothing to report the
+// simulator fills in and the sample says so (see provenance.js).
+export class PollLoop {
+  constructor({ source, interval, measured, poll, onSample }) {
+    this.source = source;
+    this.interval = interval;
+    this.measured = !!measured;
+    this.poll = poll;
+    this.onSample = onSample;
+    this.fallback = new SimulatedProbe();
+    this.stress = false;
+    this.running = false;
+    this.timer = null;
+    this.startedAt = 0;
+    this.lastT = null;
+  }
+
+  start() {
+    this.running = true;
+    this.startedAt = Date.now();
+    this.lastT = null;
+    this.schedule();
+  }
+
+  schedule() {
+    if (!this.running) return;
+    const elapsed = Date.now() - this.startedAt;
+    const next = (Math.floor(elapsed / this.interval) + 1) * this.interval;
+    this.timer = setTimeout(async () => {
+      await this.sampleOnce();
+      this.schedule();
+    }, next - elapsed);
+  }
+
+  async sampleOnce() {
+    const t = Date.now();
+    const isStress = this.stress;
+    const raw = await this.poll(isStress);
+
+    let m = raw;
+    let source = this.source;
+    if (!m) {
+      m = await this.fallback.poll({ stress: isStress });
+      source = 'simulated';
+    }
+    if (!this.running) return;
+
+    const sample = { t, rtt: m.rtt, jitter: m.jitter, loss: m.loss, source, stress: isStress, synthetic: !raw || !this.measured };
+    if (!raw) sample.fallback = true;
+    if (raw?.estimated?.length) sample.estimated = raw.estimated;
+    if (raw?.duplicates != null) {
+      sample.duplicates = raw.duplicates;
+      sample.reordered  = raw.reordered;
+    }
+    const missed = this.lastT != null ? missedIntervals(this.lastT, t, this.interval) : 0;
+    if (missed > 0) sample.gap = missed;
+    this.lastT = t;
+    this.onSample(sample);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.fallback.stop();
+  }
+}
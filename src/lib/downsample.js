@@ -0,0 +1,56 @@
+import { isSynthetic } from './provenance.js';
+
+// ─── Time-bucket downsampling ─────────────────────────────────────────────────
+// Collapses samples into at most `target` equal-width time buckets, keeping the
+// min, average and max of each metric so a one-second spike in a 30-minute
+// window still shows up as a tall envelope instead of vanishing into an average.
+// Each point also carries `real`, the share of its samples that were measured.
+
+export function downsample(samples, keys, target) {
+  if (samples.length <= target) {
+    return {
+      bucketed: false,
+      points: samples.map((s) => ({
+        t:      s.t,
+        source: s.source,
+        real:   isSynthetic(s) ? 0 : 1,
+        ...Object.fromEntries(keys.map((k) => [k, { min: s[k], avg: s[k], max: s[k] }])),
+      })),
+    };
+  }
+
+  const t0 = samples[0].t;
+  const width = (samples[samples.length - 1].t - t0) / target || 1;
+  const buckets = new Map();
+  samples.forEach((s) => {
+    const i = Math.min(target - 1, Math.floor((s.t - t0) / width));
+    let b = buckets.get(i);
+    if (!b) {
+      b = { n: 0, t: 0, real: 0, sources: new Set(), stats: Object.fromEntries(keys.map((k) => [k, { min: Infinity, sum: 0, max: -Infinity }])) };
+      buckets.set(i, b);
+    }
+    b.n += 1;
+    b.t += s.t;
+    if (!isSynthetic(s)) b.real += 1;
+    b.sources.add(s.source);
+    keys.forEach((k) => {
+      const st = b.stats[k];
+      st.min = Math.min(st.min, s[k]);
+      st.max = Math.max(st.max, s[k]);
+      st.sum += s[k];
+    });
+  });
+
+  return {
+    bucketed: true,
+    points: [...buckets.values()].map((b) => ({
+      t:      b.t / b.n,
+      source: b.sources.size === 1 ? [...b.sources][0] : 'mixed',
+      real:   b.real / b.n,
+      ...Object.fromEntries(keys.map((k) => {
+        const { min, sum, max } = b.stats[k];
+        return [k, { min, avg: sum / b.n, max }];
+      })),
+    })),
+  };
+}
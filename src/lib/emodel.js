@@ -0,0 +1,56 @@
+// ─── ITU-T G.107 E-model ──────────────────────────────────────────────────────
+// Transmission rating R from measured network figures, assuming echo is fully
+// cancelled and default terminal/room noise (R0 − Is ≈ 93.2). Jitter is folded
+// into delay as the extra de-jitter buffer it forces, and loss is weighted by
+// the codec's packet-loss robustness (Bpl) from ITU-T G.113 Appendix I.
+
+const R_BASE        = 93.2; // R0 − Is with G.107 default parameters
+const CODEC_DELAY   = 10;   // ms of framing / look-ahead added to the path
+const JITTER_BUFFER = 2;    // de-jitter buffer sized at 2 × jitter
+
+export const CODECS = {
+  g711plc: { label: 'G.711 + PLC', ie: 0,  bpl: 25.1 },
+  g711:    { label: 'G.711',       ie: 0,  bpl: 4.3 },
+  g729a:   { label: 'G.729A',      ie: 11, bpl: 19 },
+};
+
+export const DEFAULT_CODEC = 'g711plc';
+
+// G.107 §7.4 delay impairment Idd for one-way absolute delay Ta (ms)
+function delayImpairment(ta) {
+  if (ta <= 100) return 0;
+  const x = Math.log2(ta / 100);
+  return 25 * ((1 + x ** 6) ** (1 / 6) - 3 * (1 + (x / 3) ** 6) ** (1 / 6) + 2);
+}
+
+// G.107 §7.5 effective equipment impairment; burstR = 1 means random loss
+function equipmentImpairment(lossPct, { ie, bpl }, burstR = 1) {
+  return ie + ((95 - ie) * lossPct) / (lossPct / burstR + bpl);
+}
+
+export function rFactor({ rtt, jitter, loss }, codec = DEFAULT_CODEC, burstR = 1) {
+  const effectiveDelay = rtt / 2 + JITTER_BUFFER * jitter + CODEC_DELAY;
+  const r = R_BASE - delayImpairment(effectiveDelay) - equipmentImpairment(loss, CODECS[codec], burstR);
+  return Math.max(0, Math.min(100, r));
+}
+
+// G.107 Annex B mapping from R to estimated conversational MOS
+export function mosFromR(r) {
+  if (r <= 0) return 1;
+  if (r >= 100) return 4.5;
+  return 1 + 0.035 * r + r * (r - 60) * (100 - r) * 7e-6;
+}
+
+// G.109 user-satisfaction categories
+export function rCategory(r) {
+  if (r >= 90) return { label: 'Very satisfied',               health: 'good' };
+  if (r >= 80) return { label: 'Satisfied',                    health: 'good' };
+  if (r >= 70) return { label: 'Some users dissatisfied',      health: 'warning' };
+  if (r >= 60) return { label: 'Many users dissatisfied',      health: 'critical' };
+  return             { label: 'Nearly all users dissatisfied', health: 'critical' };
+}
+
+export function voiceQuality(metrics, codec = DEFAULT_CODEC) {
+  const r = rFactor(metrics, codec);
+  return { r, mos: mosFromR(r), ...rCategory(r) };
+}
@@ -0,0 +1,21 @@
+// ─── Sample gaps ──────────────────────────────────────────────────────────────
+// A sample arriving much later than the poll interval means intervals were
+// missed (machine asleep, tab frozen, probe stalled). The late sample carries
+// `gap: <missed intervals>` so charts and exports can show the hole instead of
+// drawing a line straight across it.
+
+const GAP_TOLERANCE = 1.5; // intervals late before a sample counts as a gap
+
+export function missedIntervals(prevT, t, interval) {
+  const elapsed = t - prevT;
+  return elapsed > interval * GAP_TOLERANCE ? Math.round(elapsed / interval) - 1 : 0;
+}
+
+// [{ from, to, missed }] for every gap between consecutive samples
+export function sampleGaps(samples) {
+  const gaps = [];
+  for (let i = 1; i < samples.length; i += 1) {
+    if (samples[i].gap) gaps.push({ from: samples[i - 1].t, to: samples[i].t, missed: samples[i].gap });
+  }
+  return gaps;
+}
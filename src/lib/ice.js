@@ -0,0 +1,179 @@
+// ─── ICE connectivity and NAT diagnostics ─────────────────────────────────────
+// Gathers candidates from one RTCPeerConnection against every configured
+// STUN/TURN server and turns them into a connectivity report:
+//   - candidate types seen (host, srflx, prflx, relay) and relay transports
+//   - whether UDP gets out at all (any UDP srflx, or a UDP relay)
+//   - NAT mapping behaviour: one local socket asking two STUN servers gets the
+//     same public port behind an endpoint-independent NAT and different ones
+//     behind a symmetric NAT
+//   - time to first server-reflexive candidate and to gathering complete
+// Browsers drop duplicate candidates, so two servers agreeing on a mapping show
+// up as one srflx candidate; that still reads as endpoint-independent.
+
+const STORAGE_KEY     = 'zoom-meter.iceServers';
+const GATHER_TIMEOUT  = 8000; // ms; some networks never send the end-of-candidates event
+
+export const DEFAULT_ICE_SERVERS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+  'stun:stun.cloudflare.com:3478',
+];
+
+export const NAT_TYPES = {
+  open:                   'No NAT (public address)',
+  'endpoint-independent': 'Endpoint-independent mapping (cone NAT)',
+  symmetric:              'Symmetric NAT (mapping changes per server)',
+  blocked:                'No STUN response (UDP blocked?)',
+  unknown:                'Unknown (need two STUN servers)',
+};
+
+// One server per line: `stun:host:port` or `turn:host:port?transport=tcp user pass`
+export function parseServerLines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const [urls, username, credential] = line.split(/\s+/);
+      return username ? { urls, username, credential } : { urls };
+    });
+}
+
+export function serverLines(servers) {
+  return servers.map((s) => [s.urls, s.username, s.credential].filter(Boolean).join(' ')).join('\n');
+}
+
+export function loadIceServers() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_ICE_SERVERS.map((urls) => ({ urls }));
+}
+
+export function saveIceServers(servers) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(servers));
+  } catch {
+    // storage full or disabled
+  }
+}
+
+// Older browsers only expose the SDP line, so fall back to parsing it
+function parseCandidate(c) {
+  const parts = c.candidate.split(' ');
+  const attr = (name) => { const i = parts.indexOf(name); return i >= 0 ? parts[i + 1] : null; };
+  return {
+    type:           c.type ?? attr('typ'),
+    protocol:       (c.protocol ?? parts[2] ?? '').toLowerCase(),
+    address:        c.address ?? parts[4],
+    port:           c.port ?? Number(parts[5]),
+    relatedAddress: c.relatedAddress ?? attr('raddr'),
+    relatedPort:    c.relatedPort ?? Number(attr('rport')),
+    relayProtocol:  c.relayProtocol ?? null,
+    url:            c.url ?? null,
+  };
+}
+
+// Watches an existing connection's gathering; resolves with the raw candidates
+export function watchGathering(pc, { timeout = GATHER_TIMEOUT } = {}) {
+  const started = performance.now();
+  const candidates = [];
+  return new Promise((resolve) => {
+    const finish = (complete) => {
+      clearTimeout(timer);
+      pc.removeEventListener('icecandidate', onCandidate);
+      resolve({ candidates, gatherMs: performance.now() - started, complete });
+    };
+    const onCandidate = (e) => {
+      if (!e.candidate) { finish(true); return; }
+      if (!e.candidate.candidate) return; // end-of-candidates marker in some browsers
+      candidates.push({ ...parseCandidate(e.candidate), url: e.candidate.url ?? e.url ?? null, at: performance.now() - started });
+    };
+    const timer = setTimeout(() => finish(false), timeout);
+    pc.addEventListener('icecandidate', onCandidate);
+  });
+}
+
+function natMapping(candidates, stunCount) {
+  const srflx = candidates.filter((c) => c.type === 'srflx' && c.protocol === 'udp');
+  if (srflx.length === 0) return stunCount > 0 ? 'blocked' : 'unknown';
+  const hostAddresses = new Set(candidates.filter((c) => c.type === 'host').map((c) => c.address));
+  if (srflx.every((c) => hostAddresses.has(c.address))) return 'open';
+
+  // Group by the local socket; privacy-masked candidates (rport 0) share one group
+  const bases = new Map();
+  srflx.forEach((c) => {
+    const key = c.relatedPort ? `${c.relatedAddress}:${c.relatedPort}` : '*';
+    bases.set(key, [...(bases.get(key) ?? []), c]);
+  });
+  const hostSockets = candidates.filter((c) => c.type === 'host' && c.protocol === 'udp').length;
+  let ambiguous = false;
+  for (const [key, group] of bases) {
+    const mappings = new Set(group.map((c) => `${c.address}:${c.port}`));
+    if (mappings.size <= 1) continue;
+    // Unmasked: different mappings for one socket. Masked: only trust it with a single local socket.
+    if (key !== '*' || hostSockets <= 1) return 'symmetric';
+    // Masked mappings from several sockets may or may not come from the same one
+    ambiguous = true;
+  }
+  return stunCount >= 2 && !ambiguous ? 'endpoint-independent' : 'unknown';
+}
+
+export function iceReport({ candidates, gatherMs, complete }, servers) {
+  const counts = { host: 0, srflx: 0, prflx: 0, relay: 0 };
+  candidates.forEach((c) => { if (c.type in counts) counts[c.type] += 1; });
+
+  const stunUrls = servers.flatMap((s) => [s.urls].flat()).filter((u) => /^stuns?:/.test(u));
+  const perServer = servers.flatMap((s) => [s.urls].flat()).map((url) => {
+    const found = candidates.filter((c) => c.url === url && (c.type === 'srflx' || c.type === 'relay'));
+    return {
+      url,
+      mapped: found.map((c) => `${c.address}:${c.port}${c.type === 'relay' ? ` (relay/${c.relayProtocol ?? c.protocol})` : ''}`),
+      firstMs: found.length ? Math.min(...found.map((c) => c.at)) : null,
+    };
+  });
+
+  const udpSrflx = candidates.some((c) => c.type === 'srflx' && c.protocol === 'udp');
+  const udpRelay = candidates.some((c) => c.type === 'relay' && c.relayProtocol === 'udp');
+  const relayProtocols = [...new Set(candidates.filter((c) => c.type === 'relay').map((c) => c.relayProtocol ?? c.protocol))];
+  const firstSrflx = candidates.filter((c) => c.type === 'srflx').map((c) => c.at);
+
+  const udpReachable = stunUrls.length > 0 || relayProtocols.length > 0 ? udpSrflx || udpRelay : null;
+  const natType = natMapping(candidates, stunUrls.length);
+
+  let verdict;
+  if (udpReachable === null) verdict = 'Add a STUN server to test UDP reachability.';
+  else if (udpReachable) verdict = 'UDP works: conferencing apps can use their preferred UDP media path.';
+  else if (relayProtocols.length > 0) verdict = `UDP is blocked; media can only flow over a ${relayProtocols.join('/').toUpperCase()} relay, which adds delay.`;
+  else verdict = 'UDP is blocked: expect calls to fall back to TCP/443 (TLS), which adds delay and stalls on loss.';
+
+  return {
+    at: Date.now(),
+    counts,
+    candidates,
+    servers: perServer,
+    relayProtocols,
+    udpReachable,
+    natType,
+    gatherMs,
+    complete,
+    firstSrflxMs: firstSrflx.length ? Math.min(...firstSrflx) : null,
+    verdict,
+  };
+}
+
+// Standalone check with its own peer connection
+export async function runIceCheck(servers, options) {
+  const pc = new RTCPeerConnection({ iceServers: servers });
+  try {
+    pc.createDataChannel('ice-check'); // something to negotiate, or nothing is gathered
+    const gathering = watchGathering(pc, options);
+    await pc.setLocalDescription(await pc.createOffer());
+    return iceReport(await gathering, servers);
+  } finally {
+    pc.close();
+  }
+}
@@ -0,0 +1,129 @@
+// ─── Network load generator ───────────────────────────────────────────────────
+// Saturates the link with parallel download and upload streams against a test
+// server (see `npm run server`) so latency can be probed under load. Streams
+// re-request in a loop until stopped; bytes moved are counted per direction.
+// Uploads go through XHR because fetch can't report upload progress, and a
+// large body on a slow link would otherwise only count once it finishes.
+// Outside the browser (the CLI) there's no XHR, so uploads fall back to fetch
+// and count each body once it's sent.
+
+const DOWNLOAD_BYTES = 25 * 1024 * 1024; // per download request
+const UPLOAD_BYTES   = 2 * 1024 * 1024;  // per upload request
+const RETRY_DELAY    = 250;              // ms to back off after a failed request
+const CHECK_TIMEOUT  = 3000;             // ms for the reachability check
+
+export const DEFAULT_LOAD_ENDPOINT = `http://${typeof location !== 'undefined' ? location.hostname : 'localhost'}:8787`;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export class LoadGenerator {
+  constructor({ endpoint = DEFAULT_LOAD_ENDPOINT, streams = 4, direction = 'both' } = {}) {
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.streams = streams;
+    this.direction = direction; // 'down' | 'up' | 'both'
+    this.controller = null;
+    this.bytes = { down: 0, up: 0 };
+    this.payload = null;
+  }
+
+  async start() {
+    // Fail fast if the test server isn't there
+    const check = new AbortController();
+    const t = setTimeout(() => check.abort(), CHECK_TIMEOUT);
+    try {
+      const res = await fetch(`${this.endpoint}/download?bytes=1`, { cache: 'no-store', signal: check.signal });
+      if (!res.ok) throw new Error(`Load endpoint answered ${res.status}`);
+      await res.arrayBuffer();
+    } catch (err) {
+      throw new Error(`Cannot reach load endpoint ${this.endpoint}`, { cause: err });
+    } finally {
+      clearTimeout(t);
+    }
+
+    this.controller = new AbortController();
+    this.bytes = { down: 0, up: 0 };
+    this.payload = new Blob([new Uint8Array(UPLOAD_BYTES)], { type: 'application/octet-stream' });
+    const { signal } = this.controller;
+    for (let i = 0; i < this.streams; i++) {
+      if (this.direction !== 'up')   this.downloadLoop(signal);
+      if (this.direction !== 'down') this.uploadLoop(signal);
+    }
+  }
+
+  async downloadLoop(signal) {
+    while (!signal.aborted) {
+      try {
+        const res = await fetch(`${this.endpoint}/download?bytes=${DOWNLOAD_BYTES}`, { cache: 'no-store', signal });
+        const reader = res.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          this.bytes.down += value.byteLength;
+        }
+      } catch {
+        if (!signal.aborted) await sleep(RETRY_DELAY);
+      }
+    }
+  }
+
+  async uploadLoop(signal) {
+    while (!signal.aborted) {
+      const ok = await this.uploadOnce(signal);
+      if (!ok && !signal.aborted) await sleep(RETRY_DELAY);
+    }
+  }
+
+  uploadOnce(signal) {
+    if (typeof XMLHttpRequest === 'undefined') return this.fetchUpload(signal);
+    return new Promise((resolve) => {
+      const xhr = new XMLHttpRequest();
+      const abort = () => xhr.abort();
+      let sent = 0;
+      xhr.upload.onprogress = (e) => {
+        this.bytes.up += e.loaded - sent;
+        sent = e.loaded;
+      };
+      xhr.onload  = () => resolve(xhr.status >= 200 && xhr.status < 300);
+      xhr.onerror = () => resolve(false);
+      xhr.onabort = () => resolve(false);
+      xhr.onloadend = () => signal.removeEventListener('abort', abort);
+      signal.addEventListener('abort', abort);
+      xhr.open('POST', `${this.endpoint}/upload`);
+      xhr.send(this.payload);
+    });
+  }
+
+  async fetchUpload(signal) {
+    try {
+      const res = await fetch(`${this.endpoint}/upload`, { method: 'POST', body: this.payload, signal });
+      await res.arrayBuffer();
+      if (res.ok) this.bytes.up += UPLOAD_BYTES;
+      return res.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  stop() {
+    if (this.controller) { this.controller.abort(); this.controller = null; }
+    this.payload = null;
+  }
+}
+
+// ─── Throughput test ──────────────────────────────────────────────────────────
+// Sustained Mbps in one direction. The first `warmup` ms are discarded so TCP
+// slow start doesn't drag the figure down.
+export async function measureThroughput({ endpoint, direction, duration = 8000, warmup = 2000, streams = 4 }) {
+  const load = new LoadGenerator({ endpoint, streams, direction });
+  await load.start();
+  try {
+    await sleep(warmup);
+    const startBytes = load.bytes[direction];
+    const t0 = performance.now();
+    await sleep(duration - warmup);
+    const seconds = (performance.now() - t0) / 1000;
+    return ((load.bytes[direction] - startBytes) * 8) / seconds / 1e6;
+  } finally {
+    load.stop();
+  }
+}
@@ -0,0 +1,187 @@
+// ─── Synthetic media loopback test ────────────────────────────────────────────
+// Streams a generated canvas video track and an oscillator audio track between
+// two in-page peers, so the browser's real encoder, congestion control and RTP
+// feedback are exercised the way a call would exercise them. Each poll reads
+// `outbound-rtp` on the sender and `inbound-rtp` on the receiver.
+
+const VIDEO_WIDTH     = 1280;
+const VIDEO_HEIGHT    = 720;
+const VIDEO_FPS       = 30;
+const AUDIO_FREQ      = 440;  // Hz
+const CONNECT_TIMEOUT = 8000; // ms to wait for media to start flowing
+const WARMUP_SECONDS  = 5;    // left out of the summary while congestion control ramps up
+
+// Moving gradient, bouncing blocks and per-frame noise: enough motion and
+// detail that the encoder has to work for its bitrate
+function drawFrame(ctx, frame) {
+  const { width: w, height: h } = ctx.canvas;
+  const hue = (frame * 2) % 360;
+  const g = ctx.createLinearGradient(0, 0, w, h);
+  g.addColorStop(0, `hsl(${hue}, 70%, 30%)`);
+  g.addColorStop(1, `hsl(${(hue + 120) % 360}, 70%, 20%)`);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, w, h);
+
+  for (let i = 0; i < 6; i += 1) {
+    const x = (Math.sin(frame / (20 + i * 3)) * 0.4 + 0.5) * (w - 120);
+    const y = (Math.cos(frame / (25 + i * 4)) * 0.4 + 0.5) * (h - 120);
+    ctx.fillStyle = `hsl(${(hue + i * 60) % 360}, 80%, 60%)`;
+    ctx.fillRect(x, y, 120, 120);
+  }
+  for (let i = 0; i < 400; i += 1) {
+    ctx.fillStyle = Math.random() < 0.5 ? '#000' : '#fff';
+    ctx.fillRect(Math.random() * w, Math.random() * h, 3, 3);
+  }
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 48px sans-serif';
+  ctx.fillText(`ZoomMeter ${frame}`, 40, h - 40);
+}
+
+// Per-second figures from two consecutive stats snapshots (null on the first)
+export function mediaSnapshot(prev, sender, receiver) {
+  const find = (stats, type, kind) => {
+    let found = null;
+    stats.forEach((r) => { if (r.type === type && r.kind === kind) found = r; });
+    return found;
+  };
+  const out = { video: find(sender, 'outbound-rtp', 'video'), audio: find(sender, 'outbound-rtp', 'audio') };
+  const inb = { video: find(receiver, 'inbound-rtp', 'video'), audio: find(receiver, 'inbound-rtp', 'audio') };
+  const raw = {
+    t:                out.video?.timestamp ?? performance.now(),
+    videoBytesSent:   out.video?.bytesSent ?? 0,
+    audioBytesSent:   out.audio?.bytesSent ?? 0,
+    concealedSamples: inb.audio?.concealedSamples ?? 0,
+    totalSamples:     inb.audio?.totalSamplesReceived ?? 0,
+  };
+  if (!prev) return { raw, metrics: null };
+
+  const dt = (raw.t - prev.raw.t) / 1000;
+  const kbps = (bytes, prevBytes) => (dt > 0 ? ((bytes - prevBytes) * 8) / dt / 1000 : 0);
+  const dSamples = raw.totalSamples - prev.raw.totalSamples;
+
+  return {
+    raw,
+    metrics: {
+      t:                       Date.now(),
+      videoKbps:               kbps(raw.videoBytesSent, prev.raw.videoBytesSent),
+      audioKbps:               kbps(raw.audioBytesSent, prev.raw.audioBytesSent),
+      sentFps:                 out.video?.framesPerSecond ?? 0,
+      receivedFps:             inb.video?.framesPerSecond ?? 0,
+      width:                   out.video?.frameWidth ?? 0,
+      height:                  out.video?.frameHeight ?? 0,
+      qualityLimitationReason: out.video?.qualityLimitationReason ?? 'none',
+      framesDropped:           inb.video?.framesDropped ?? 0,
+      nackCount:               out.video?.nackCount ?? 0,
+      pliCount:                out.video?.pliCount ?? 0,
+      concealment:             dSamples > 0 ? ((raw.concealedSamples - prev.raw.concealedSamples) / dSamples) * 100 : 0,
+    },
+  };
+}
+
+// Averages over the run after the warm-up; counters are cumulative so the last
+// value wins. A fresh sender reports 'bandwidth' limitation while it ramps up
+// to 720p, which says nothing about the machine or the link.
+export function summarizeMedia(all) {
+  if (all.length === 0) return null;
+  const snapshots = all.length > WARMUP_SECONDS ? all.slice(WARMUP_SECONDS) : all;
+  const avg = (key) => snapshots.reduce((a, s) => a + s[key], 0) / snapshots.length;
+  const last = snapshots[snapshots.length - 1];
+  const limited = snapshots.filter((s) => s.qualityLimitationReason !== 'none');
+  const reasons = [...new Set(limited.map((s) => s.qualityLimitationReason))];
+  return {
+    samples:       snapshots.length,
+    videoKbps:     avg('videoKbps'),
+    audioKbps:     avg('audioKbps'),
+    sentFps:       avg('sentFps'),
+    receivedFps:   avg('receivedFps'),
+    width:         last.width,
+    height:        last.height,
+    limitedShare:  (limited.length / snapshots.length) * 100,
+    limitedBy:     reasons,
+    framesDropped: last.framesDropped,
+    nackCount:     last.nackCount,
+    pliCount:      last.pliCount,
+    concealment:   avg('concealment'),
+  };
+}
+
+export class MediaLoopbackTest {
+  constructor() {
+    this.sender = null;
+    this.receiver = null;
+    this.canvasTimer = null;
+    this.connectTimer = null;
+    this.audioCtx = null;
+    this.tracks = [];
+    this.prev = null;
+  }
+
+  async start() {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = VIDEO_WIDTH;
+      canvas.height = VIDEO_HEIGHT;
+      const ctx = canvas.getContext('2d');
+      let frame = 0;
+      drawFrame(ctx, frame);
+      this.canvasTimer = setInterval(() => drawFrame(ctx, ++frame), 1000 / VIDEO_FPS);
+      const [video] = canvas.captureStream(VIDEO_FPS).getVideoTracks();
+
+      this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      const osc = this.audioCtx.createOscillator();
+      const dest = this.audioCtx.createMediaStreamDestination();
+      osc.frequency.value = AUDIO_FREQ;
+      osc.connect(dest);
+      osc.start();
+      const [audio] = dest.stream.getAudioTracks();
+      this.tracks = [video, audio];
+
+      this.sender   = new RTCPeerConnection({ iceServers: [] });
+      this.receiver = new RTCPeerConnection({ iceServers: [] });
+      this.sender.onicecandidate   = ({ candidate }) => { if (candidate) this.receiver?.addIceCandidate(candidate).catch(() => {}); };
+      this.receiver.onicecandidate = ({ candidate }) => { if (candidate) this.sender?.addIceCandidate(candidate).catch(() => {}); };
+
+      const stream = new MediaStream(this.tracks);
+      this.tracks.forEach((track) => this.sender.addTrack(track, stream));
+      const flowing = new Promise((resolve, reject) => {
+        this.connectTimer = setTimeout(() => reject(new Error('Media did not start flowing')), CONNECT_TIMEOUT);
+        this.receiver.ontrack = ({ track }) => {
+          if (track.kind === 'video') { clearTimeout(this.connectTimer); resolve(); }
+        };
+      });
+
+      const offer = await this.sender.createOffer();
+      await this.sender.setLocalDescription(offer);
+      await this.receiver.setRemoteDescription(offer);
+      const answer = await this.receiver.createAnswer();
+      await this.receiver.setLocalDescription(answer);
+      await this.sender.setRemoteDescription(answer);
+      await flowing;
+    } catch (err) {
+      this.stop();
+      throw err;
+    }
+  }
+
+  // → per-second media metrics, or null until two stats snapshots exist
+  async poll() {
+    if (!this.sender) return null;
+    const [sent, received] = await Promise.all([this.sender.getStats(), this.receiver.getStats()]);
+    const next = mediaSnapshot(this.prev, sent, received);
+    this.prev = next;
+    return next.metrics;
+  }
+
+  stop() {
+    clearInterval(this.canvasTimer);
+    this.canvasTimer = null;
+    clearTimeout(this.connectTimer); // setup may fail before media flows
+    this.connectTimer = null;
+    this.tracks.forEach((t) => t.stop());
+    this.tracks = [];
+    if (this.audioCtx) { this.audioCtx.close(); this.audioCtx = null; }
+    if (this.sender)   { this.sender.close();   this.sender = null; }
+    if (this.receiver) { this.receiver.close(); this.receiver = null; }
+    this.prev = null;
+  }
+}
@@ -0,0 +1,85 @@
+// ─── Alert channels ───────────────────────────────────────────────────────────
+// Desktop notifications, a short audio cue, and a tab title / favicon badge.
+
+export const notificationsSupported = () => typeof Notification !== 'undefined';
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : 'unsupported';
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  return Notification.requestPermission();
+}
+
+export function desktopNotify(title, body) {
+  if (notificationPermission() !== 'granted') return;
+  try {
+    new Notification(title, { body, tag: 'zoom-meter-alert' });
+  } catch {
+    // some mobile browsers only allow notifications from a service worker
+  }
+}
+
+let audioCtx = null;
+
+// Two falling tones; loud enough to notice, short enough not to annoy
+export function playAlertCue() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return;
+  audioCtx ??= new Ctx();
+  if (audioCtx.state === 'suspended') audioCtx.resume();
+  const now = audioCtx.currentTime;
+  [880, 660].forEach((freq, i) => {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    const at = now + i * 0.18;
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.0001, at);
+    gain.gain.exponentialRampToValueAtTime(0.2, at + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.16);
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start(at);
+    osc.stop(at + 0.17);
+  });
+}
+
+const BADGE_COLORS = { good: '#10b981', warning: '#f59e0b', critical: '#ef4444' };
+let baseTitle = null;
+let baseIcon = null;
+
+function iconLink() {
+  let link = document.querySelector('link[rel="icon"]');
+  if (!link) {
+    link = document.createElement('link');
+    link.rel = 'icon';
+    document.head.appendChild(link);
+  }
+  return link;
+}
+
+// Prefixes the title and swaps the favicon for a coloured dot; null restores both
+export function setTitleBadge(badge) {
+  baseTitle ??= document.title;
+  const link = iconLink();
+  baseIcon ??= link.href;
+  if (!badge) {
+    document.title = baseTitle;
+    link.href = baseIcon;
+    return;
+  }
+  document.title = `(!) ${badge.text} · ${baseTitle}`;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 32;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = BADGE_COLORS[badge.health] ?? BADGE_COLORS.critical;
+  ctx.beginPath();
+  ctx.arc(16, 16, 14, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 22px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('!', 16, 17);
+  link.href = canvas.toDataURL('image/png');
+}
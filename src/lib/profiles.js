@@ -0,0 +1,113 @@
+// ─── Threshold profiles ───────────────────────────────────────────────────────
+// A profile describes what "good" means for one kind of real-time app:
+//   thresholds  good/warn limits per metric (drive health colours)
+//   weights     score deductions — `per` points for every unit above `from`,
+//               capped at `max` (drive the readiness score)
+//   bands       latency-chart zone edges in ms
+//   notes       Signal Guide text for the good / warning / critical / loss rows
+//   app         name used in the readiness label, e.g. "Ready for Teams"
+// Built-ins are read-only; custom profiles and the active choice persist in
+// localStorage.
+
+const STORAGE_KEY_PROFILES = 'zoom-meter.profiles';
+const STORAGE_KEY_ACTIVE   = 'zoom-meter.activeProfile';
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'zoom',
+    name: 'Zoom',
+    app: 'Zoom',
+    builtIn: true,
+    thresholds: { rtt: { good: 100, warn: 200 }, jitter: { good: 20, warn: 50 }, loss: { good: 0.2, warn: 2 } },
+    weights:    { rtt: { from: 50, per: 0.5, max: 30 }, jitter: { from: 10, per: 1 / 1.5, max: 20 }, loss: { from: 0, per: 25, max: 50 } },
+    bands:      { good: 20, warn: 50 },
+    notes:      ['Crystal-clear audio & video', 'Audio might clip briefly', 'Video will freeze / drop', 'Call will degrade significantly'],
+  },
+  {
+    id: 'teams',
+    name: 'Microsoft Teams',
+    app: 'Teams',
+    builtIn: true,
+    thresholds: { rtt: { good: 100, warn: 200 }, jitter: { good: 30, warn: 60 }, loss: { good: 1, warn: 3 } },
+    weights:    { rtt: { from: 60, per: 0.5, max: 30 }, jitter: { from: 15, per: 0.5, max: 20 }, loss: { from: 0.5, per: 15, max: 50 } },
+    bands:      { good: 30, warn: 60 },
+    notes:      ['Smooth meeting', 'Occasional robotic audio', 'Video drops to audio only', 'Teams will lower quality sharply'],
+  },
+  {
+    id: 'meet',
+    name: 'Google Meet',
+    app: 'Meet',
+    builtIn: true,
+    thresholds: { rtt: { good: 100, warn: 250 }, jitter: { good: 30, warn: 60 }, loss: { good: 1, warn: 3 } },
+    weights:    { rtt: { from: 60, per: 0.4, max: 30 }, jitter: { from: 15, per: 0.5, max: 20 }, loss: { from: 0.5, per: 15, max: 50 } },
+    bands:      { good: 30, warn: 60 },
+    notes:      ['Smooth meeting', 'Brief audio glitches', 'Video resolution drops', 'Meet will pause video'],
+  },
+  {
+    id: 'voip',
+    name: 'VoIP phone',
+    app: 'VoIP',
+    builtIn: true,
+    // ITU-T G.114: one-way delay under 150 ms is transparent for voice
+    thresholds: { rtt: { good: 150, warn: 300 }, jitter: { good: 20, warn: 40 }, loss: { good: 0.5, warn: 2 } },
+    weights:    { rtt: { from: 100, per: 0.2, max: 20 }, jitter: { from: 10, per: 1, max: 30 }, loss: { from: 0, per: 25, max: 50 } },
+    bands:      { good: 20, warn: 40 },
+    notes:      ['Toll-quality voice', 'Noticeable clicks or gaps', 'Words get dropped', 'Call is hard to follow'],
+  },
+  {
+    id: 'gaming',
+    name: 'Cloud gaming',
+    app: 'Cloud Gaming',
+    builtIn: true,
+    thresholds: { rtt: { good: 40, warn: 80 }, jitter: { good: 5, warn: 15 }, loss: { good: 0.1, warn: 1 } },
+    weights:    { rtt: { from: 20, per: 1, max: 40 }, jitter: { from: 2, per: 2, max: 30 }, loss: { from: 0, per: 30, max: 50 } },
+    bands:      { good: 5, warn: 15 },
+    notes:      ['Responsive play', 'Input feels laggy', 'Stutter and artifacts', 'Stream will drop resolution or disconnect'],
+  },
+];
+
+export const DEFAULT_PROFILE_ID = 'zoom';
+
+function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or disabled — the choice just won't survive a reload
+  }
+}
+
+export function loadCustomProfiles() {
+  const stored = readJSON(STORAGE_KEY_PROFILES, []);
+  return Array.isArray(stored) ? stored.filter((p) => p?.id && p.thresholds && p.weights) : [];
+}
+
+export function saveCustomProfiles(profiles) {
+  writeJSON(STORAGE_KEY_PROFILES, profiles);
+}
+
+export function loadActiveProfileId() {
+  return readJSON(STORAGE_KEY_ACTIVE, DEFAULT_PROFILE_ID);
+}
+
+export function saveActiveProfileId(id) {
+  writeJSON(STORAGE_KEY_ACTIVE, id);
+}
+
+// Editable copy of any profile
+export function cloneProfile(profile) {
+  return {
+    ...structuredClone(profile),
+    id: `custom-${Date.now().toString(36)}`,
+    name: `${profile.name} (custom)`,
+    builtIn: false,
+  };
+}
@@ -0,0 +1,51 @@
+// ─── Sample provenance ────────────────────────────────────────────────────────
+// Every sample says where its numbers came from:
+//   source     probe that produced it ('simulated' when the simulator filled in)
+//   synthetic  true when nothing in it was measured: simulated or scripted
+//              sources, and the fallback below
+//   fallback   true when the chosen source returned nothing for that second and
+//              the simulator stood in
+//   estimated  metrics the probe couldn't measure and reported as a default,
+//              e.g. ['jitter', 'loss'] for a STUN pair with no media flowing
+// Sessions recorded before these flags existed are judged by `source` alone.
+
+const SYNTHETIC_SOURCES = new Set(['simulated', 'scenario']);
+
+export function isSynthetic(sample) {
+  return sample.synthetic ?? SYNTHETIC_SOURCES.has(sample.source);
+}
+
+export function isFallback(sample, chosenSource) {
+  return sample.fallback ?? (chosenSource !== 'simulated' && sample.source === 'simulated');
+}
+
+// Share (0–1) of samples that are real measurements, or null for no samples
+export function realShare(samples = []) {
+  if (samples.length === 0) return null;
+  return samples.filter((s) => !isSynthetic(s)).length / samples.length;
+}
+
+export function formatShare(share) {
+  return share == null ? '—' : `${Math.round(share * 100)}%`;
+}
+
+// Runs of consecutive synthetic samples → [{ from, to, fallback }], each
+// widened by half an interval either side so a single sample still shows
+export function syntheticStretches(samples, { interval = 1000 } = {}) {
+  const stretches = [];
+  let current = null;
+  samples.forEach((s) => {
+    if (!isSynthetic(s)) {
+      current = null;
+      return;
+    }
+    const fallback = !!s.fallback;
+    if (current && current.fallback === fallback) {
+      current.to = s.t + interval / 2;
+    } else {
+      current = { from: s.t - interval / 2, to: s.t + interval / 2, fallback };
+      stretches.push(current);
+    }
+  });
+  return stretches;
+}
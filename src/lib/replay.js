@@ -0,0 +1,69 @@
+// ─── Session replay ───────────────────────────────────────────────────────────
+// Plays a recorded session's samples back through the same `onBatch` callback
+// the live sampler feeds, so every dashboard component reacts exactly as it did
+// while recording. Samples are spaced by their recorded timestamps divided by
+// the speed; seeking clears the dashboard (`onReset`) and replays everything up
+// to the new position in one batch.
+
+export const REPLAY_SPEEDS = [1, 4, 16];
+
+const MAX_WAIT = 2000; // ms of recorded time; longer gaps (sleep, hidden tab) are skipped
+
+export class Replayer {
+  constructor({ samples, onBatch, onReset, onEnd }) {
+    this.samples = samples;
+    this.onBatch = onBatch;
+    this.onReset = onReset;
+    this.onEnd = onEnd;
+    this.index = 0; // samples delivered so far
+    this.speed = REPLAY_SPEEDS[0];
+    this.playing = false;
+    this.timer = null;
+  }
+
+  play() {
+    if (this.index >= this.samples.length) this.seek(0);
+    this.playing = true;
+    this.schedule();
+  }
+
+  pause() {
+    this.playing = false;
+    clearTimeout(this.timer);
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    if (this.playing) this.schedule();
+  }
+
+  seek(index) {
+    clearTimeout(this.timer);
+    this.index = Math.max(0, Math.min(index, this.samples.length));
+    this.onReset();
+    if (this.index > 0) this.onBatch(this.samples.slice(0, this.index));
+    if (this.playing) this.schedule();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    const next = this.samples[this.index];
+    if (!next) {
+      this.playing = false;
+      this.onEnd();
+      return;
+    }
+    const prev = this.samples[this.index - 1];
+    const wait = prev ? Math.min(Math.max(next.t - prev.t, 0), MAX_WAIT) : 0;
+    this.timer = setTimeout(() => {
+      this.index += 1;
+      this.onBatch([next]);
+      this.schedule();
+    }, wait / this.speed);
+  }
+
+  stop() {
+    this.pause();
+    this.samples = [];
+  }
+}
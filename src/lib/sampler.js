@@ -0,0 +1,103 @@
+import { PROBE_SOURCES, createProbe } from '../probes/index.js';
+
+// ─── Sampler (main-thread side) ───────────────────────────────────────────────
+// Runs the poll loop in a dedicated worker (see workers/sampler.js), where
+// timers keep their pace in background tabs. Sources that need main-thread
+// APIs such as RTCPeerConnection are started here and polled on the worker's
+// request. Samples arrive through `onBatch(samples)`: one at a time while the
+// tab is visible, in larger batches while it is hidden — except samples that
+// could fire an alert (see `setWatch`), which are always sent at once.
+
+const STOP_TIMEOUT = 1000; // ms to wait for the worker's last batch before terminating it
+
+export class Sampler {
+  constructor({ onBatch }) {
+    this.onBatch = onBatch;
+    this.worker = null;
+    this.probe = null;
+    this.watch = null;
+  }
+
+  // Resolves with { ok, capabilities }; polling continues on simulated data when !ok.
+  // Rejects if the worker itself can't run, since then nothing polls at all.
+  async start({ source, options, interval }) {
+    const onMain = !PROBE_SOURCES[source].worker;
+    let result = null;
+    if (onMain) {
+      const p = createProbe(source, options);
+      try {
+        await p.start();
+        this.probe = p;
+        result = { ok: true, capabilities: p.capabilities };
+      } catch {
+        p.stop();
+        result = { ok: false, capabilities: null };
+      }
+    }
+
+    this.worker = new Worker(new URL('../workers/sampler.js', import.meta.url), { type: 'module' });
+    let failed = null;
+    const ready = new Promise((resolve, reject) => {
+      this.resolveReady = (data) => { failed = null; resolve(data); };
+      failed = reject;
+    });
+    this.worker.onmessage = ({ data }) => this.handleMessage(data);
+    // Only a worker that never got going is fatal
+    this.worker.onerror = (e) => {
+      if (!failed) return;
+      e.preventDefault();
+      this.stop();
+      failed(new Error(`Sampler worker failed: ${e.message || 'could not load'}`));
+    };
+    const measured = !!result?.capabilities?.measured;
+    this.worker.postMessage({ type: 'start', source, options, interval, onMain, measured, hidden: document.hidden, watch: this.watch });
+    const fromWorker = await ready;
+    return result ?? fromWorker;
+  }
+
+  async handleMessage(data) {
+    if (data.type === 'ready') {
+      this.resolveReady(data);
+    } else if (data.type === 'stopped') {
+      this.resolveStopped?.();
+    } else if (data.type === 'batch') {
+      this.onBatch(data.samples);
+    } else if (data.type === 'poll') {
+      const metrics = this.probe ? await this.probe.poll({ stress: data.stress }) : null;
+      this.worker?.postMessage({ type: 'polled', id: data.id, metrics });
+    }
+  }
+
+  setStress(on) {
+    this.worker?.postMessage({ type: 'stress', on });
+  }
+
+  // watch from alerts.js `alertWatch`
+  setWatch(watch) {
+    this.watch = watch;
+    this.worker?.postMessage({ type: 'watch', watch });
+  }
+
+  setHidden(hidden) {
+    this.worker?.postMessage({ type: 'hidden', hidden });
+  }
+
+  // Resolves once the worker has sent what it was still holding (a hidden-tab
+  // batch) and been shut down
+  stop() {
+    if (this.probe) { this.probe.stop(); this.probe = null; }
+    const worker = this.worker;
+    this.worker = null;
+    if (!worker) return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timeout);
+        worker.terminate();
+        resolve();
+      };
+      const timeout = setTimeout(done, STOP_TIMEOUT);
+      this.resolveStopped = done;
+      worker.postMessage({ type: 'stop' });
+    });
+  }
+}
@@ -0,0 +1,133 @@
+import { clamp, seededRandom } from './util.js';
+
+// ─── Network scenarios ────────────────────────────────────────────────────────
+// Scripted, seedable timelines for the simulator, for demos, training and for
+// checking scoring and alert rules against known conditions. A scenario is:
+//   base     steady-state { rtt, jitter, loss }
+//   noise    size of the per-second wobble around it (a damped random walk)
+//   stress   added while a stress test loads the link
+//   length   seconds before the script loops
+//   events   [{ at, for, every?, ramp?, rtt?, jitter?, loss? }] — additions
+//            active for `for` seconds from `at` (and every `every` seconds
+//            after), eased in and out over `ramp` seconds
+// The same id and seed always produce the same samples.
+
+export const SCENARIOS = {
+  fibre: {
+    name:        'Stable fibre',
+    description: 'Low, flat latency with almost no loss and little bufferbloat.',
+    base:   { rtt: 9,  jitter: 1.2, loss: 0 },
+    noise:  { rtt: 1,  jitter: 0.4, loss: 0 },
+    stress: { rtt: 6,  jitter: 2,   loss: 0 },
+    length: 3600,
+    events: [],
+  },
+  'evening-cable': {
+    name:        'Congested evening cable',
+    description: 'Neighbourhood congestion builds over the hour, with streaming bursts on top and heavy bufferbloat.',
+    base:   { rtt: 22,  jitter: 4,  loss: 0.05 },
+    noise:  { rtt: 3,   jitter: 1.5, loss: 0.05 },
+    stress: { rtt: 120, jitter: 30, loss: 1.5 },
+    length: 3600,
+    events: [
+      { at: 300, for: 2400, ramp: 600, rtt: 70, jitter: 25, loss: 1.2 },
+      { at: 600, every: 240, for: 20, ramp: 3, rtt: 60, jitter: 30, loss: 2 },
+    ],
+  },
+  'wifi-drops': {
+    name:        'Wi-Fi with periodic drops',
+    description: 'Decent Wi-Fi that drops out for two seconds every 45 s, like a background scan or a microwave.',
+    base:   { rtt: 18, jitter: 6,  loss: 0.2 },
+    noise:  { rtt: 4,  jitter: 3,  loss: 0.2 },
+    stress: { rtt: 60, jitter: 20, loss: 1 },
+    length: 3600,
+    events: [
+      { at: 40, every: 45, for: 2, rtt: 180, jitter: 60, loss: 35 },
+    ],
+  },
+  satellite: {
+    name:        'Satellite (600 ms)',
+    description: 'Geostationary-style 600 ms round trips, with a short hiccup every 15 s as the link reconfigures.',
+    base:   { rtt: 600, jitter: 25, loss: 0.4 },
+    noise:  { rtt: 20,  jitter: 8,  loss: 0.3 },
+    stress: { rtt: 200, jitter: 40, loss: 2 },
+    length: 3600,
+    events: [
+      { at: 12, every: 15, for: 1, rtt: 90, jitter: 40, loss: 4 },
+    ],
+  },
+  'lte-handover': {
+    name:        'LTE handover',
+    description: 'Mobile data drifting with signal strength, and a cell handover every two minutes.',
+    base:   { rtt: 55,  jitter: 12, loss: 0.3 },
+    noise:  { rtt: 10,  jitter: 5,  loss: 0.3 },
+    stress: { rtt: 150, jitter: 40, loss: 3 },
+    length: 600,
+    events: [
+      { at: 0, for: 600, ramp: 300, rtt: 25, jitter: 8 },
+      { at: 80, every: 120, for: 4, ramp: 1, rtt: 250, jitter: 80, loss: 20 },
+    ],
+  },
+};
+
+export const DEFAULT_SCENARIO = 'fibre';
+export const DEFAULT_SEED     = 1;
+
+const METRICS = ['rtt', 'jitter', 'loss'];
+const DAMPING = 0.7; // random-walk memory: 0 is white noise, 1 never settles
+
+// 0..1 strength of an event at second `s` of the script
+function eventLevel(ev, s) {
+  let start = ev.at;
+  if (ev.every && s >= ev.at) start = ev.at + Math.floor((s - ev.at) / ev.every) * ev.every;
+  const into = s - start;
+  if (into < 0 || into >= ev.for) return 0;
+  const ramp = ev.ramp ?? 0;
+  if (ramp <= 0) return 1;
+  return clamp(Math.min(into + 1, ev.for - into) / ramp, 0, 1);
+}
+
+export class ScenarioModel {
+  constructor(id = DEFAULT_SCENARIO, seed = DEFAULT_SEED) {
+    this.scenario = SCENARIOS[id];
+    if (!this.scenario) throw new Error(`Unknown scenario: ${id}`);
+    this.random = seededRandom(Number(seed) || 0);
+    this.second = 0;
+    this.walk = { rtt: 0, jitter: 0, loss: 0 };
+  }
+
+  // Roughly normal, from the sum of three uniforms
+  gauss() {
+    return (this.random() + this.random() + this.random() - 1.5) * 2;
+  }
+
+  // Advances one second → { rtt, jitter, loss }
+  next(stress = false) {
+    const { base, noise, stress: load, length, events } = this.scenario;
+    const s = this.second % length;
+    this.second += 1;
+
+    const out = {};
+    METRICS.forEach((k) => {
+      this.walk[k] = this.walk[k] * DAMPING + this.gauss() * noise[k];
+      const scripted = events.reduce((sum, ev) => sum + (ev[k] ?? 0) * eventLevel(ev, s), 0);
+      out[k] = base[k] + this.walk[k] + scripted + (stress ? load[k] : 0);
+    });
+    return {
+      rtt:    Math.max(out.rtt, 1),
+      jitter: Math.max(out.jitter, 0),
+      loss:   clamp(out.loss, 0, 100),
+    };
+  }
+}
+
+// A whole run at once, e.g. to exercise scoring or alert rules outside the UI.
+// `stressed(i)` says whether sample i is taken under load.
+export function scenarioSamples(id, { seed = DEFAULT_SEED, seconds = 300, start = Date.now(), interval = 1000, stressed = () => false } = {}) {
+  const model = new ScenarioModel(id, seed);
+  return Array.from({ length: seconds }, (_, i) => ({
+    t: start + i * interval,
+    ...model.next(stressed(i)),
+    source: 'scenario',
+  }));
+}
@@ -0,0 +1,105 @@
+import { Sampler } from './sampler.js';
+import { LoadGenerator } from './load.js';
+import { isSynthetic } from './provenance.js';
+
+// ─── Scheduled checks ─────────────────────────────────────────────────────────
+// While the app is open, a short measurement burst runs every N minutes on its
+// own sampler, independent of live monitoring. Each result is stored (see
+// sessionStore `saveCheck`) and folded into an hour × weekday heatmap of
+// readiness, so a user can see which time slots are reliably good for calls.
+
+const STORAGE_KEY = 'zoom-meter.schedule';
+
+export const CHECK_INTERVALS = [5, 10, 15, 30, 60];  // minutes
+export const CHECK_DURATIONS = [10, 15, 30, 60];     // seconds per burst
+export const WEEKDAYS        = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const DEFAULT_SCHEDULE = { enabled: false, everyMin: 30, burstSec: 15, underLoad: false };
+
+export function loadSchedule() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (raw && typeof raw === 'object') return { ...DEFAULT_SCHEDULE, ...raw };
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_SCHEDULE;
+}
+
+export function saveSchedule(schedule) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(schedule));
+  } catch {
+    // storage full or disabled
+  }
+}
+
+// Collects `seconds` samples from a fresh sampler, optionally while saturating
+// the link like the stress test does. Resolves with { samples, measured, loaded };
+// `measured` is false when the source is synthetic or fell back to simulation.
+export async function runCheckBurst({ source, options, seconds, interval, underLoad, endpoint }) {
+  const samples = [];
+  let done;
+  const finished = new Promise((resolve) => { done = resolve; });
+  const sampler = new Sampler({
+    onBatch: (batch) => {
+      samples.push(...batch);
+      if (samples.length >= seconds) done();
+    },
+  });
+
+  let load = null;
+  try {
+    const { ok, capabilities } = await sampler.start({ source, options, interval });
+    // One sample per message even in a background tab, so the burst ends on time
+    sampler.setHidden(false);
+    if (underLoad) {
+      if (capabilities?.measured) {
+        load = new LoadGenerator({ endpoint });
+        await load.start();
+      }
+      sampler.setStress(true);
+      samples.length = 0; // drop anything sampled before the load was up
+    }
+    const timeout = setTimeout(done, (seconds + 10) * interval);
+    await finished;
+    clearTimeout(timeout);
+    const burst = samples.slice(0, seconds);
+    const measured = ok && !!capabilities?.measured && !burst.some(isSynthetic);
+    return { samples: burst, measured, loaded: load != null };
+  } finally {
+    load?.stop();
+    sampler.stop();
+  }
+}
+
+// Monday-first weekday index, matching WEEKDAYS
+function weekday(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+// → 7 × 24 grid (weekday rows, local hour columns) of { count, score, worst }.
+// Only measured checks count: a slot picked from simulated numbers is no advice.
+export function checkHeatmap(checks) {
+  const grid = WEEKDAYS.map(() => Array.from({ length: 24 }, () => ({ count: 0, score: 0, worst: null })));
+  checks.filter((c) => c.measured).forEach((c) => {
+    const d = new Date(c.at);
+    const cell = grid[weekday(d)][d.getHours()];
+    cell.score += c.score;
+    cell.count += 1;
+    cell.worst = cell.worst == null ? c.score : Math.min(cell.worst, c.score);
+  });
+  grid.forEach((row) => row.forEach((cell) => {
+    if (cell.count > 0) cell.score /= cell.count;
+  }));
+  return grid;
+}
+
+// Best-scoring slots with at least `minChecks` results, for the "book calls at" hint
+export function bestSlots(grid, { count = 3, minChecks = 2 } = {}) {
+  return grid
+    .flatMap((row, day) => row.map((cell, hour) => ({ day, hour, ...cell })))
+    .filter((s) => s.count >= minChecks)
+    .sort((a, b) => b.score - a.score || b.count - a.count)
+    .slice(0, count);
+}
@@ -0,0 +1,408 @@
+import { summarize } from './stats.js';
+import { analyzeSamples } from './analysis.js';
+import { ANNOTATION_KINDS } from './annotations.js';
+import { isSynthetic, realShare, formatShare, syntheticStretches } from './provenance.js';
+
+// ─── Session export / import ──────────────────────────────────────────────────
+// Serialises a stored session (see sessionStore.js) so it can be sent to
+// someone else: JSON round-trips back into the dashboard, CSV opens in a
+// spreadsheet, and the HTML report is a single self-contained file with the
+// seismograph drawn as inline SVG.
+
+export const SESSION_FORMAT  = 'zoom-meter-session';
+export const SESSION_VERSION = 1;
+
+const SAMPLE_COLUMNS = ['t', 'time', 'rtt_ms', 'jitter_ms', 'loss_pct', 'source', 'missed_before', 'synthetic', 'fallback', 'estimated'];
+const STRESS_COLUMNS = [
+  'index', 'timestamp', 'duration_s', 'samples', 'score', 'health',
+  'avg_rtt_ms', 'max_rtt_ms', 'avg_jitter_ms', 'max_jitter_ms', 'avg_loss_pct', 'max_loss_pct',
+  'loaded', 'idle_rtt_ms', 'bloat_ms', 'grade', 'r_factor', 'mos',
+  'p50_rtt_ms', 'p95_rtt_ms', 'p99_rtt_ms', 'stddev_rtt_ms', 'p50_jitter_ms', 'p95_jitter_ms', 'p99_jitter_ms', 'stddev_jitter_ms',
+  'loss_bursts', 'longest_burst_s', 'clean_streak_s', 'stability', 'real_pct',
+];
+const ALERT_COLUMNS = ['t', 'time', 'rule', 'alert', 'condition'];
+const ANNOTATION_COLUMNS = ['t', 'time', 'kind', 'annotation'];
+
+const num = (v, digits = 2) => (Number.isFinite(v) ? v.toFixed(digits) : '');
+
+function csvField(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+export function exportFilename(session, ext) {
+  const stamp = new Date(session.startedAt).toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  return `zoom-meter-${stamp}.${ext}`;
+}
+
+// ── JSON ──
+export function sessionToJSON(session) {
+  return JSON.stringify({
+    format:     SESSION_FORMAT,
+    version:    SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    session,
+  }, null, 2);
+}
+
+// ── Import validation ──
+// Imports come from other people, so everything the dashboard and the HTML
+// report print is checked here; malformed parts are dropped, not trusted.
+const isNum = Number.isFinite;
+const numOrNull = (v) => (isNum(v) ? v : null);
+const HEALTH_LEVELS = ['good', 'warning', 'critical'];
+const GRADES = ['A+', 'A', 'B', 'C', 'D', 'F'];
+const isText = (v) => typeof v === 'string';
+const optionalText = (v) => v == null || isText(v);
+
+const validSample = (s) => ['t', 'rtt', 'jitter', 'loss'].every((k) => isNum(s?.[k]))
+  && optionalText(s.source) && (s.estimated == null || Array.isArray(s.estimated));
+const validAlert = (a) => isNum(a?.t) && isText(a.name) && isText(a.message);
+const validAnnotation = (a) => isNum(a?.t) && isText(a.label) && Object.hasOwn(ANNOTATION_KINDS, a.kind);
+
+const validLimits = (l) => isNum(l?.good) && isNum(l?.warn);
+
+function validThresholds(t) {
+  if (!t || !['rtt', 'jitter', 'loss'].every((k) => validLimits(t[k]))) return undefined;
+  return {
+    rtt:    { good: t.rtt.good,    warn: t.rtt.warn },
+    jitter: { good: t.jitter.good, warn: t.jitter.warn },
+    loss:   { good: t.loss.good,   warn: t.loss.warn },
+  };
+}
+
+function validProfile(p) {
+  if (!p || typeof p !== 'object') return undefined;
+  return {
+    id:    String(p.id ?? ''),
+    name:  String(p.name ?? ''),
+    bands: validLimits(p.bands) ? { good: p.bands.good, warn: p.bands.warn } : undefined,
+  };
+}
+
+const validSpread = (m) => ['mean', 'stddev', 'min', 'max', 'p50', 'p95', 'p99'].every((k) => isNum(m?.[k]));
+
+function validStats(st) {
+  if (!st || !validSpread(st.rtt) || !validSpread(st.jitter)) return null;
+  if (!['mean', 'max', 'bursts', 'longestBurst', 'meanBurst'].every((k) => isNum(st.loss?.[k]))) return null;
+  if (!isNum(st.count) || !isNum(st.cleanStreak) || !isNum(st.stability)) return null;
+  return st;
+}
+
+const STRESS_NUMBERS = ['index', 'duration', 'samples', 'score', 'avgRtt', 'avgJitter', 'avgLoss', 'maxRtt', 'maxJitter', 'maxLoss'];
+
+// Only what the advisor reads from the ICE check, or undefined
+function validIce(ice) {
+  if (!ice || typeof ice !== 'object') return undefined;
+  return {
+    at:           numOrNull(ice.at),
+    udpReachable: typeof ice.udpReachable === 'boolean' ? ice.udpReachable : null,
+    natType:      isText(ice.natType) ? ice.natType : 'unknown',
+    gatherMs:     numOrNull(ice.gatherMs),
+    verdict:      isText(ice.verdict) ? ice.verdict : '',
+  };
+}
+
+const MEDIA_NUMBERS = ['samples', 'videoKbps', 'audioKbps', 'sentFps', 'receivedFps', 'width', 'height', 'limitedShare'];
+
+function validMediaTest(m) {
+  if (!m || !MEDIA_NUMBERS.every((k) => isNum(m[k]))) return null;
+  return {
+    at:            numOrNull(m.at),
+    ...Object.fromEntries(MEDIA_NUMBERS.map((k) => [k, m[k]])),
+    limitedBy:     Array.isArray(m.limitedBy) ? m.limitedBy.filter(isText) : [],
+    framesDropped: numOrNull(m.framesDropped),
+    nackCount:     numOrNull(m.nackCount),
+    pliCount:      numOrNull(m.pliCount),
+    concealment:   numOrNull(m.concealment),
+  };
+}
+
+// A clean copy of one imported stress test result, or null if it's unusable
+function validStressTest(r) {
+  if (!r || !STRESS_NUMBERS.every((k) => isNum(r[k]))) return null;
+  const idleRtt = numOrNull(r.idleRtt);
+  const bloat = idleRtt != null ? numOrNull(r.bloat) : null;
+  const quality = isNum(r.r) && isNum(r.mos); // shown together
+  return {
+    ...Object.fromEntries(STRESS_NUMBERS.map((k) => [k, r[k]])),
+    timestamp: String(r.timestamp ?? ''),
+    health:    HEALTH_LEVELS.includes(r.health) ? r.health : 'critical',
+    r:         quality ? r.r : null,
+    mos:       quality ? r.mos : null,
+    stats:     validStats(r.stats),
+    real:      numOrNull(r.real),
+    loaded:    !!r.loaded,
+    idleRtt,
+    bloat,
+    grade:     bloat != null && GRADES.includes(r.grade) ? r.grade : null,
+  };
+}
+
+export function parseSessionJSON(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (doc?.format !== SESSION_FORMAT) throw new Error('Not a ZoomMeter session export');
+  if (doc.version > SESSION_VERSION) throw new Error(`Session format v${doc.version} is newer than this app supports`);
+
+  const { session } = doc;
+  if (!session || !Array.isArray(session.samples)) throw new Error('Session export has no samples');
+  const samples = session.samples.filter(validSample);
+  const startedAt = numOrNull(session.startedAt) ?? samples[0]?.t ?? Date.now();
+  return {
+    ...session,
+    name:        isText(session.name) && session.name ? session.name : new Date(startedAt).toLocaleString(),
+    startedAt,
+    endedAt:     numOrNull(session.endedAt) ?? samples[samples.length - 1]?.t ?? startedAt,
+    source:      isText(session.source) ? session.source : undefined,
+    thresholds:  validThresholds(session.thresholds),
+    profile:     validProfile(session.profile),
+    stressTests: Array.isArray(session.stressTests) ? session.stressTests.map(validStressTest).filter(Boolean) : [],
+    mediaTests:  Array.isArray(session.mediaTests) ? session.mediaTests.map(validMediaTest).filter(Boolean) : [],
+    ice:         validIce(session.ice),
+    alerts:      Array.isArray(session.alerts) ? session.alerts.filter(validAlert) : [],
+    annotations: Array.isArray(session.annotations) ? session.annotations.filter(validAnnotation) : [],
+    sampleCount: samples.length,
+    samples,
+  };
+}
+
+// ── CSV ──
+function statsFields(st) {
+  if (!st) return Array(12).fill('');
+  return [
+    num(st.rtt.p50), num(st.rtt.p95), num(st.rtt.p99), num(st.rtt.stddev),
+    num(st.jitter.p50), num(st.jitter.p95), num(st.jitter.p99), num(st.jitter.stddev),
+    st.loss.bursts, num(st.loss.longestBurst, 0), num(st.cleanStreak, 0), st.stability,
+  ];
+}
+
+// Metadata as leading `#` comment lines, then the sample table, and after a
+// blank line each the stress test and fired alert tables.
+export function sessionToCSV(session) {
+  const lines = [
+    `# ZoomMeter session: ${session.name}`,
+    `# started: ${new Date(session.startedAt).toISOString()}`,
+    `# ended: ${new Date(session.endedAt).toISOString()}`,
+    `# probe source: ${session.source ?? 'unknown'}`,
+    `# real measurements: ${formatShare(realShare(session.samples))}`,
+  ];
+  if (session.profile) lines.push(`# profile: ${session.profile.name}`);
+  if (session.thresholds) {
+    const t = session.thresholds;
+    lines.push(`# thresholds: rtt ${t.rtt.good}/${t.rtt.warn} ms, jitter ${t.jitter.good}/${t.jitter.warn} ms, loss ${t.loss.good}/${t.loss.warn} %`);
+  }
+
+  lines.push(SAMPLE_COLUMNS.join(','));
+  session.samples.forEach((s) => {
+    lines.push([
+      s.t, new Date(s.t).toISOString(), num(s.rtt), num(s.jitter), num(s.loss, 3), s.source, s.gap ?? '',
+      isSynthetic(s), !!s.fallback, s.estimated?.join(' ') ?? '',
+    ].map(csvField).join(','));
+  });
+
+  if (session.stressTests.length > 0) {
+    lines.push('', STRESS_COLUMNS.join(','));
+    session.stressTests.forEach((r) => {
+      lines.push([
+        r.index, r.timestamp, r.duration, r.samples, r.score, r.health,
+        num(r.avgRtt), num(r.maxRtt), num(r.avgJitter), num(r.maxJitter), num(r.avgLoss, 3), num(r.maxLoss, 3),
+        r.loaded ?? '', num(r.idleRtt), num(r.bloat), r.grade ?? '', num(r.r, 1), num(r.mos),
+        ...statsFields(r.stats), r.real != null ? num(r.real * 100, 0) : '',
+      ].map(csvField).join(','));
+    });
+  }
+
+  const alerts = session.alerts ?? [];
+  if (alerts.length > 0) {
+    lines.push('', ALERT_COLUMNS.join(','));
+    alerts.forEach((a) => {
+      lines.push([a.t, new Date(a.t).toISOString(), a.ruleId, a.name, a.message].map(csvField).join(','));
+    });
+  }
+
+  const annotations = session.annotations ?? [];
+  if (annotations.length > 0) {
+    lines.push('', ANNOTATION_COLUMNS.join(','));
+    annotations.forEach((a) => {
+      lines.push([a.t, new Date(a.t).toISOString(), a.kind, a.label].map(csvField).join(','));
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// ── HTML report ──
+const DEFAULT_BANDS = { good: 20, warn: 50 };
+
+function seismographSvg(samples, { bands: edges = DEFAULT_BANDS, markers = [], width = 900, height = 260 } = {}) {
+  const pad = { left: 40, right: 10, top: 10, bottom: 24 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  const yMax = samples.reduce((m, s) => Math.max(m, s.rtt, s.jitter), edges.warn * 2) * 1.05;
+  const t0 = samples[0]?.t ?? 0;
+  const span = Math.max(1, (samples[samples.length - 1]?.t ?? 0) - t0);
+
+  const x = (t) => pad.left + ((t - t0) / span) * w;
+  const y = (v) => pad.top + h - (Math.min(v, yMax) / yMax) * h;
+  // One polyline per run of samples, so gaps stay visible as breaks
+  const runs = samples.reduce((acc, s) => {
+    if (s.gap || acc.length === 0) acc.push([]);
+    acc[acc.length - 1].push(s);
+    return acc;
+  }, []);
+  const lines = (key, color) => runs.map((run) => (
+    `<polyline points="${run.map((s) => `${x(s.t).toFixed(1)},${y(s[key]).toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="1.5"/>`
+  )).join('\n  ');
+
+  const bands = [
+    { lo: 0,          hi: edges.good, color: 'rgba(34,197,94,0.08)' },
+    { lo: edges.good, hi: edges.warn, color: 'rgba(234,179,8,0.10)' },
+    { lo: edges.warn, hi: yMax,       color: 'rgba(239,68,68,0.10)' },
+  ].map(({ lo, hi, color }) => `<rect x="${pad.left}" y="${y(hi)}" width="${w}" height="${y(lo) - y(hi)}" fill="${color}"/>`);
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => {
+    const v = Math.round(yMax * f);
+    return `<text x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end">${v}</text>`;
+  });
+  const times = [0, 0.5, 1].map((f) => {
+    const t = t0 + span * f;
+    const anchor = f === 0 ? 'start' : f === 1 ? 'end' : 'middle';
+    return `<text x="${x(t)}" y="${height - 6}" text-anchor="${anchor}">${escapeHtml(new Date(t).toLocaleTimeString())}</text>`;
+  });
+  // Amber where nothing was measured, stronger where the simulator stood in
+  const synthetic = syntheticStretches(samples).map(({ from, to, fallback }) => {
+    const x0 = Math.max(x(from), pad.left);
+    const x1 = Math.min(x(to), pad.left + w);
+    return `<rect x="${x0.toFixed(1)}" y="${pad.top}" width="${Math.max(x1 - x0, 1).toFixed(1)}" height="${h}" fill="rgba(251,191,36,${fallback ? 0.18 : 0.07})"/>`;
+  });
+  const marks = markers.filter((m) => m.t >= t0 && m.t <= t0 + span).map((m) => (
+    `<line x1="${x(m.t)}" x2="${x(m.t)}" y1="${pad.top}" y2="${pad.top + h}" stroke="${m.color}" stroke-dasharray="4 3"><title>${escapeHtml(m.label)}</title></line>`
+  ));
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Seismograph">
+  ${bands.join('\n  ')}
+  ${synthetic.join('\n  ')}
+  ${marks.join('\n  ')}
+  <g fill="#64748b" font-size="11">${ticks.join('')}${times.join('')}</g>
+  ${lines('jitter', '#a78bfa')}
+  ${lines('rtt', '#38bdf8')}
+</svg>`;
+}
+
+export function sessionToHTML(session) {
+  const { samples } = session;
+  const avg = (key) => (samples.length ? samples.reduce((a, s) => a + s[key], 0) / samples.length : NaN);
+  const max = (key) => (samples.length ? samples.reduce((m, s) => Math.max(m, s[key]), -Infinity) : NaN);
+  const stats = summarize(samples);
+  const { spikes, patterns } = analyzeSamples(samples);
+  const t = session.thresholds;
+
+  const stressRows = session.stressTests.map((r) => `<tr>
+      <td>#${num(r.index, 0)}</td><td>${escapeHtml(r.timestamp)}</td><td>${num(r.score, 0)}</td><td>${num(r.mos) || '—'}</td>
+      <td>${num(r.avgRtt, 0)} / ${num(r.maxRtt, 0)}</td><td>${num(r.avgJitter, 0)} / ${num(r.maxJitter, 0)}</td>
+      <td>${num(r.avgLoss)} / ${num(r.maxLoss)}</td><td>${escapeHtml(r.grade ?? '—')}</td>
+      <td>${r.stats ? `${num(r.stats.rtt.p95, 0)} / ${num(r.stats.rtt.p99, 0)}` : '—'}</td><td>${num(r.stats?.stability, 0) || '—'}</td>
+      <td>${formatShare(r.real)}</td>
+    </tr>`).join('');
+  const alerts = session.alerts ?? [];
+  const alertRows = alerts.map((a) => `<tr>
+      <td>${escapeHtml(new Date(a.t).toLocaleTimeString())}</td><td>${escapeHtml(a.name)}</td><td>${escapeHtml(a.message)}</td>
+    </tr>`).join('');
+  const annotations = session.annotations ?? [];
+  const annotationRows = annotations.map((a) => `<tr>
+      <td>${escapeHtml(new Date(a.t).toLocaleTimeString())}</td><td>${escapeHtml(ANNOTATION_KINDS[a.kind]?.name ?? a.kind)}</td><td>${escapeHtml(a.label)}</td>
+    </tr>`).join('');
+  const markers = [
+    ...alerts.map((a) => ({ t: a.t, label: a.name, color: '#f87171' })),
+    ...annotations.map((a) => ({ t: a.t, label: a.label, color: ANNOTATION_KINDS[a.kind]?.color ?? '#94a3b8' })),
+  ];
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>ZoomMeter report — ${escapeHtml(session.name)}</title>
+<style>
+  body { margin: 0; padding: 24px; background: #0f172a; color: #e2e8f0; font: 14px system-ui, -apple-system, sans-serif; }
+  h1 { margin: 0 0 4px; font-size: 22px; } h2 { margin: 28px 0 8px; font-size: 16px; color: #cbd5e1; }
+  .meta { color: #64748b; font-size: 12px; }
+  .card { background: rgba(30,41,59,0.5); border: 1px solid rgba(51,65,85,0.5); border-radius: 12px; padding: 16px; }
+  .legend span { display: inline-flex; align-items: center; gap: 6px; margin-right: 16px; font-size: 12px; color: #94a3b8; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid rgba(51,65,85,0.5); }
+  th { color: #94a3b8; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; }
+</style>
+</head>
+<body>
+<h1>Zoom<span style="color:#60a5fa">Meter</span> — ${escapeHtml(session.name)}</h1>
+<p class="meta">${escapeHtml(new Date(session.startedAt).toLocaleString())} – ${escapeHtml(new Date(session.endedAt).toLocaleString())}
+ · ${samples.length} samples (${formatShare(realShare(samples))} real measurements) · probe source: ${escapeHtml(session.source ?? 'unknown')}${session.profile ? ` · profile: ${escapeHtml(session.profile.name)}` : ''}</p>
+
+<h2>Seismograph</h2>
+<div class="card">
+${seismographSvg(samples, { bands: session.profile?.bands, markers })}
+<p class="legend"><span><i style="background:#38bdf8"></i>Latency (ms)</span><span><i style="background:#a78bfa"></i>Jitter (ms)</span>${alerts.length ? '<span><i style="background:#f87171"></i>Alert</span>' : ''}${annotations.length ? '<span><i style="background:#fbbf24"></i>Annotation (hover for details)</span>' : ''}${samples.some(isSynthetic) ? '<span><i style="background:rgba(251,191,36,0.35)"></i>Synthetic data</span>' : ''}</p>
+</div>
+
+<h2>Summary</h2>
+<div class="card"><table>
+  <tr><th>Metric</th><th>Average</th><th>Maximum</th>${t ? '<th>Thresholds (good / warn)</th>' : ''}</tr>
+  <tr><td>Latency (RTT)</td><td>${num(avg('rtt'), 0)} ms</td><td>${num(max('rtt'), 0)} ms</td>${t ? `<td>${num(t.rtt.good, 0)} / ${num(t.rtt.warn, 0)} ms</td>` : ''}</tr>
+  <tr><td>Jitter</td><td>${num(avg('jitter'), 0)} ms</td><td>${num(max('jitter'), 0)} ms</td>${t ? `<td>${num(t.jitter.good, 0)} / ${num(t.jitter.warn, 0)} ms</td>` : ''}</tr>
+  <tr><td>Packet loss</td><td>${num(avg('loss'))} %</td><td>${num(max('loss'))} %</td>${t ? `<td>${escapeHtml(t.loss.good)} / ${escapeHtml(t.loss.warn)} %</td>` : ''}</tr>
+</table></div>
+${stats ? `
+<h2>Statistics</h2>
+<div class="card"><table>
+  <tr><th>Metric</th><th>p50</th><th>p95</th><th>p99</th><th>Std dev</th></tr>
+  <tr><td>Latency (RTT)</td><td>${num(stats.rtt.p50, 0)} ms</td><td>${num(stats.rtt.p95, 0)} ms</td><td>${num(stats.rtt.p99, 0)} ms</td><td>${num(stats.rtt.stddev, 1)} ms</td></tr>
+  <tr><td>Jitter</td><td>${num(stats.jitter.p50, 0)} ms</td><td>${num(stats.jitter.p95, 0)} ms</td><td>${num(stats.jitter.p99, 0)} ms</td><td>${num(stats.jitter.stddev, 1)} ms</td></tr>
+</table>
+<p class="meta">${spikes.length} spikes against the rolling baseline${patterns.length ? ` · ${patterns.map((p) => escapeHtml(p.text)).join(' · ')}` : ' · no regular pattern'}</p>
+<p class="meta">Loss bursts: ${stats.loss.bursts}${stats.loss.bursts ? ` (longest ${num(stats.loss.longestBurst, 0)} s)` : ''}
+ · longest clean streak: ${num(stats.cleanStreak, 0)} s · stability index: ${stats.stability} / 100</p>
+</div>` : ''}
+${stressRows ? `
+<h2>Pre-flight stress tests</h2>
+<div class="card"><table>
+  <tr><th>Test</th><th>Time</th><th>Score</th><th>MOS</th><th>RTT avg / max (ms)</th><th>Jitter avg / max (ms)</th><th>Loss avg / max (%)</th><th>Bufferbloat</th><th>RTT p95 / p99 (ms)</th><th>Stability</th><th>Real</th></tr>
+  ${stressRows}
+</table></div>` : ''}
+${alertRows ? `
+<h2>Alerts</h2>
+<div class="card"><table>
+  <tr><th>Time</th><th>Alert</th><th>Condition</th></tr>
+  ${alertRows}
+</table></div>` : ''}
+${annotationRows ? `
+<h2>Timeline</h2>
+<div class="card"><table>
+  <tr><th>Time</th><th>Kind</th><th>Annotation</th></tr>
+  ${annotationRows}
+</table></div>` : ''}
+<p class="meta" style="margin-top:24px">Generated by ZoomMeter on ${escapeHtml(new Date().toLocaleString())}</p>
+</body>
+</html>
+`;
+}
+
+// ── Browser download ──
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,191 @@
+// ─── Session store (IndexedDB) ────────────────────────────────────────────────
+// Three object stores: `sessions` holds one metadata record per monitoring
+// session (name, times, probe source, thresholds, stress test results, fired
+// alerts, timeline annotations), `samples` holds every per-second sample,
+// indexed by session id so a session can be loaded or deleted without scanning
+// the others, and `checks` holds one summary per scheduled background check.
+
+const DB_NAME    = 'zoom-meter';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      req.onupgradeneeded = ({ oldVersion }) => {
+        const db = req.result;
+        if (oldVersion < 1) {
+          db.createObjectStore('sessions', { keyPath: 'id' });
+          db.createObjectStore('samples', { autoIncrement: true }).createIndex('sessionId', 'sessionId');
+        }
+        if (oldVersion < 2) db.createObjectStore('checks', { autoIncrement: true });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        if (blocked) { db.close(); return; } // already given up on; don't hold the connection
+        // Let a newer version in another tab upgrade; the next call reopens
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+      // An older version is still open in another tab and won't close
+      req.onblocked = () => {
+        blocked = true;
+        dbPromise = null;
+        reject(new Error('Session storage is held open by another ZoomMeter tab; close it and retry'));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `fn` inside one transaction and resolves with its result on commit
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    fn(tx, (value) => { result = value; });
+  });
+}
+
+function newId() {
+  return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export async function createSession(meta) {
+  const session = {
+    id:          newId(),
+    name:        new Date().toLocaleString(),
+    startedAt:   Date.now(),
+    endedAt:     Date.now(),
+    sampleCount: 0,
+    stressTests: [],
+    alerts:      [],
+    annotations: [],
+    ...meta,
+  };
+  await withStores(['sessions'], 'readwrite', (tx) => tx.objectStore('sessions').add(session));
+  return session;
+}
+
+// Appends a batch of samples and bumps the session's end time and count in the same write
+export function appendSamples(sessionId, samples) {
+  return withStores(['sessions', 'samples'], 'readwrite', (tx) => {
+    const store = tx.objectStore('samples');
+    samples.forEach((sample) => store.add({ ...sample, sessionId }));
+    const sessions = tx.objectStore('sessions');
+    const req = sessions.get(sessionId);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      sessions.put({
+        ...req.result,
+        endedAt:     samples[samples.length - 1].t,
+        sampleCount: req.result.sampleCount + samples.length,
+      });
+    };
+  });
+}
+
+export function updateSession(id, patch) {
+  return withStores(['sessions'], 'readwrite', (tx) => {
+    const sessions = tx.objectStore('sessions');
+    const req = sessions.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      const next = typeof patch === 'function' ? patch(req.result) : { ...req.result, ...patch };
+      sessions.put(next);
+    };
+  });
+}
+
+export function appendStressTest(id, result) {
+  return updateSession(id, (s) => ({ ...s, stressTests: [...s.stressTests, result] }));
+}
+
+export function appendMediaTest(id, result) {
+  return updateSession(id, (s) => ({ ...s, mediaTests: [...(s.mediaTests ?? []), result] }));
+}
+
+export function appendAlert(id, alert) {
+  return updateSession(id, (s) => ({ ...s, alerts: [...(s.alerts ?? []), alert] }));
+}
+
+export function appendAnnotation(id, annotation) {
+  return updateSession(id, (s) => ({ ...s, annotations: [...(s.annotations ?? []), annotation] }));
+}
+
+// Metadata only, newest first
+export function listSessions() {
+  return withStores(['sessions'], 'readonly', (tx, done) => {
+    const req = tx.objectStore('sessions').getAll();
+    req.onsuccess = () => done(req.result.sort((a, b) => b.startedAt - a.startedAt));
+  });
+}
+
+// Metadata plus every sample in recording order
+export function loadSession(id) {
+  return withStores(['sessions', 'samples'], 'readonly', (tx, done) => {
+    const metaReq = tx.objectStore('sessions').get(id);
+    const samplesReq = tx.objectStore('samples').index('sessionId').getAll(id);
+    samplesReq.onsuccess = () => {
+      if (!metaReq.result) { done(null); return; }
+      const samples = samplesReq.result.map((s) => {
+        const { sessionId: _sessionId, ...sample } = s;
+        return sample;
+      });
+      done({ ...metaReq.result, samples });
+    };
+  });
+}
+
+export function deleteSession(id) {
+  return withStores(['sessions', 'samples'], 'readwrite', (tx) => {
+    tx.objectStore('sessions').delete(id);
+    const req = tx.objectStore('samples').index('sessionId').openKeyCursor(IDBKeyRange.only(id));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      tx.objectStore('samples').delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  });
+}
+
+// Stores a session brought in from elsewhere (e.g. a JSON export) under a new id
+export async function importSession(imported) {
+  const { samples, ...meta } = imported;
+  const session = { ...meta, id: newId(), sampleCount: samples.length };
+  await withStores(['sessions', 'samples'], 'readwrite', (tx) => {
+    tx.objectStore('sessions').add(session);
+    const store = tx.objectStore('samples');
+    samples.forEach((s) => store.add({ ...s, sessionId: session.id }));
+  });
+  return { ...session, samples };
+}
+
+// ── Scheduled checks ──
+export function saveCheck(check) {
+  return withStores(['checks'], 'readwrite', (tx) => tx.objectStore('checks').add(check));
+}
+
+// Oldest first
+export function listChecks() {
+  return withStores(['checks'], 'readonly', (tx, done) => {
+    const req = tx.objectStore('checks').getAll();
+    req.onsuccess = () => done(req.result.sort((a, b) => a.at - b.at));
+  });
+}
+
+export function clearChecks() {
+  return withStores(['checks'], 'readwrite', (tx) => tx.objectStore('checks').clear());
+}
@@ -0,0 +1,97 @@
+// ─── Sample statistics ────────────────────────────────────────────────────────
+// Distribution and burst statistics over a run of samples. Averages hide the
+// two-second freeze that ruins a call; percentiles, loss bursts and the
+// stability index are meant to surface it.
+
+const LOSS_FLOOR = 0.1; // % — samples at or below this count as loss-free
+
+// Linear interpolation between the closest ranks; `sorted` must be ascending
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function distribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const variance = sorted.reduce((a, v) => a + (v - mean) ** 2, 0) / n;
+  return {
+    mean,
+    stddev: Math.sqrt(variance),
+    min:    sorted[0],
+    max:    sorted[n - 1],
+    p50:    percentile(sorted, 0.5),
+    p95:    percentile(sorted, 0.95),
+    p99:    percentile(sorted, 0.99),
+  };
+}
+
+// Largest value, or `floor` for none; a spread `Math.max` overflows the call
+// stack on long sessions
+const largest = (values, floor = -Infinity) => values.reduce((m, v) => (v > m ? v : m), floor);
+
+// Lengths (in samples) of each run where `test` holds; a gap ends the run
+function runLengths(samples, test) {
+  const lengths = [];
+  let run = 0;
+  samples.forEach((s) => {
+    if (s.gap && run > 0) { lengths.push(run); run = 0; }
+    if (test(s)) {
+      run += 1;
+    } else if (run > 0) {
+      lengths.push(run);
+      run = 0;
+    }
+  });
+  if (run > 0) lengths.push(run);
+  return lengths;
+}
+
+// 0–100, starting from 100 and losing up to:
+//   40 points for RTT variability (coefficient of variation, capped at 1)
+//   30 points for the tail (p99 − p50, relative to p50 but at least 20 ms, capped at 2)
+//   30 points for the share of samples inside loss bursts (capped at 20%)
+export function stabilityIndex({ rtt, lossShare }) {
+  const cv   = rtt.mean > 0 ? Math.min(1, rtt.stddev / rtt.mean) : 0;
+  const tail = Math.min(2, (rtt.p99 - rtt.p50) / Math.max(rtt.p50, 20));
+  const loss = Math.min(0.2, lossShare) / 0.2;
+  return Math.round(Math.max(0, 100 - cv * 40 - tail * 15 - loss * 30));
+}
+
+export function stabilityLabel(index) {
+  if (index >= 85) return { label: 'Very stable', health: 'good' };
+  if (index >= 65) return { label: 'Stable',      health: 'good' };
+  if (index >= 40) return { label: 'Unsteady',    health: 'warning' };
+  return                  { label: 'Erratic',     health: 'critical' };
+}
+
+// samples: [{ t, rtt, jitter, loss, gap? }] → summary, or null when empty.
+// Burst and streak durations are in seconds at the given poll interval.
+export function summarize(samples, { interval = 1000, lossFloor = LOSS_FLOOR } = {}) {
+  if (samples.length === 0) return null;
+  const seconds = (n) => (n * interval) / 1000;
+
+  const bursts = runLengths(samples, (s) => s.loss > lossFloor);
+  const clean  = runLengths(samples, (s) => s.loss <= lossFloor);
+  const inBursts = bursts.reduce((a, b) => a + b, 0);
+  const rtt = distribution(samples.map((s) => s.rtt));
+
+  return {
+    count:  samples.length,
+    rtt,
+    jitter: distribution(samples.map((s) => s.jitter)),
+    loss: {
+      mean:         samples.reduce((a, s) => a + s.loss, 0) / samples.length,
+      max:          largest(samples.map((s) => s.loss)),
+      bursts:       bursts.length,
+      longestBurst: seconds(largest(bursts, 0)),
+      meanBurst:    bursts.length ? seconds(inBursts / bursts.length) : 0,
+    },
+    cleanStreak: seconds(largest(clean, 0)),
+    stability:   stabilityIndex({ rtt, lossShare: inBursts / samples.length }),
+  };
+}
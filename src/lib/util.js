@@ -0,0 +1,14 @@
+// ─── Shared helpers ───────────────────────────────────────────────────────────
+export function clamp(v, min, max) { return Math.min(max, Math.max(min, v)); }
+
+// Small, fast seeded PRNG (mulberry32) → function returning floats in [0, 1)
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
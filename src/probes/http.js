@@ -0,0 +1,64 @@
+import { PingTracker } from './pingTracker.js';
+
+// ─── HTTP timing probe ────────────────────────────────────────────────────────
+// Times small uncached HEAD requests against an endpoint. Each request is one
+// "ping": errors and timeouts count as loss. Includes HTTP server time, so
+// expect it to read a little higher than a raw packet probe.
+
+const REQUEST_INTERVAL = 250;  // ms between requests
+const REQUEST_TIMEOUT  = 2000; // ms before a request is aborted and counted lost
+
+export const DEFAULT_HTTP_ENDPOINT = typeof location !== 'undefined' ? `${location.origin}/` : 'http://localhost:5173/';
+
+export class HttpProbe {
+  constructor({ endpoint = DEFAULT_HTTP_ENDPOINT, interval = REQUEST_INTERVAL, timeout = REQUEST_TIMEOUT } = {}) {
+    this.endpoint = endpoint;
+    this.interval = interval;
+    this.timeout = timeout;
+    this.tracker = new PingTracker({ lossTimeout: timeout });
+    this.timer = null;
+    this.controllers = new Set();
+  }
+
+  get capabilities() {
+    return { rtt: true, jitter: true, loss: true, measured: true, endpoint: true, sequence: false };
+  }
+
+  async start() {
+    // One request up front so an unreachable endpoint fails fast
+    await this.request({ throwOnError: true });
+    this.timer = setInterval(() => this.request(), this.interval);
+  }
+
+  async request({ throwOnError = false } = {}) {
+    const controller = new AbortController();
+    this.controllers.add(controller);
+    const t = setTimeout(() => controller.abort(), this.timeout);
+    const seq = this.tracker.next();
+    try {
+      const url = new URL(this.endpoint);
+      url.searchParams.set('zm', `${Date.now()}-${seq}`); // defeat caches
+      await fetch(url, { method: 'HEAD', cache: 'no-store', mode: 'no-cors', signal: controller.signal });
+      this.tracker.ack(seq);
+    } catch (err) {
+      this.tracker.fail(seq);
+      if (throwOnError) throw err;
+    } finally {
+      clearTimeout(t);
+      this.controllers.delete(controller);
+    }
+  }
+
+  async poll() {
+    if (!this.timer) return null;
+    return this.tracker.take();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.controllers.forEach((c) => c.abort());
+    this.controllers.clear();
+    this.tracker.reset();
+  }
+}
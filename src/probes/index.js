@@ -0,0 +1,58 @@
+import { LoopbackProbe } from './loopback.js';
+import { StunProbe } from './stun.js';
+import { SimulatedProbe } from './simulated.js';
+import { HttpProbe, DEFAULT_HTTP_ENDPOINT } from './http.js';
+import { WebSocketProbe, DEFAULT_WS_ENDPOINT } from './websocket.js';
+import { ScenarioProbe } from './scenario.js';
+import { SCENARIOS, DEFAULT_SCENARIO, DEFAULT_SEED } from '../lib/scenarios.js';
+
+// ─── Probe sources ────────────────────────────────────────────────────────────
+// Every source implements the same shape:
+//   start()            → Promise, rejects if the source can't measure
+//   poll({ stress })   → Promise<{ rtt, jitter, loss } | null>
+//   stop()
+//   capabilities       → { rtt, jitter, loss, measured, endpoint, sequence }
+// `measured: false` marks synthetic sources; `endpoint: true` means the source
+// talks to a user-configurable URL; `sequence: true` means samples also carry
+// `duplicates` and `reordered` counts.
+//
+// `worker: true` marks sources that only use fetch/WebSocket and can run inside
+// the sampler worker; the WebRTC ones need the main thread. `defaultScenario`
+// marks the scripted simulator, which takes { scenario, seed } options.
+
+export const PROBE_SOURCES = {
+  loopback:  { label: 'Loopback',        Probe: LoopbackProbe },
+  stun:      { label: 'WebRTC STUN',     Probe: StunProbe },
+  http:      { label: 'HTTP timing',     Probe: HttpProbe,      worker: true, defaultEndpoint: DEFAULT_HTTP_ENDPOINT },
+  websocket: { label: 'WebSocket echo',  Probe: WebSocketProbe, worker: true, defaultEndpoint: DEFAULT_WS_ENDPOINT, defaultRate: 10 },
+  simulated: { label: 'Simulation',      Probe: SimulatedProbe, worker: true },
+  scenario:  { label: 'Scenario',        Probe: ScenarioProbe,  worker: true, defaultScenario: DEFAULT_SCENARIO, defaultSeed: DEFAULT_SEED },
+};
+
+export const DEFAULT_SOURCE = 'loopback';
+
+export function createProbe(id, options = {}) {
+  const entry = PROBE_SOURCES[id];
+  if (!entry) throw new Error(`Unknown probe source: ${id}`);
+  return new entry.Probe(options);
+}
+
+export function sourceLabel(id) {
+  return PROBE_SOURCES[id]?.label ?? id;
+}
+
+// Source and options from the page URL, e.g. ?scenario=wifi-drops&seed=7 or
+// ?source=websocket. Null when the URL doesn't pick a valid source.
+export function sourceFromUrl(search) {
+  const params = new URLSearchParams(search);
+  const scenario = params.get('scenario');
+  const source = params.get('source') ?? (scenario ? 'scenario' : null);
+  if (!PROBE_SOURCES[source]) return null;
+  if (source !== 'scenario') return { source, options: {} };
+
+  const options = {};
+  if (SCENARIOS[scenario]) options.scenario = scenario;
+  const seed = Number(params.get('seed'));
+  if (params.has('seed') && Number.isFinite(seed)) options.seed = seed;
+  return { source, options };
+}
@@ -0,0 +1,90 @@
+import { PingTracker } from './pingTracker.js';
+
+// ─── Loopback data-channel probe ──────────────────────────────────────────────
+// Two in-page peers joined over ICE. The near peer sends sequence-numbered,
+// timestamped pings over an unordered, unreliable data channel and the far peer
+// echoes them back untouched, so every figure comes from our own packets.
+
+const PING_INTERVAL = 100;  // ms between pings (10/s)
+const LOSS_TIMEOUT  = 1000; // ms before an unanswered ping counts as lost
+const OPEN_TIMEOUT  = 5000; // ms to wait for the channel to open
+
+export class LoopbackProbe {
+  constructor({ interval = PING_INTERVAL, lossTimeout = LOSS_TIMEOUT } = {}) {
+    this.interval = interval;
+    this.tracker = new PingTracker({ lossTimeout });
+    this.near = null;
+    this.far = null;
+    this.channel = null;
+    this.timer = null;
+    this.openTimer = null;
+  }
+
+  get capabilities() {
+    return { rtt: true, jitter: true, loss: true, measured: true, endpoint: false, sequence: true };
+  }
+
+  async start() {
+    try {
+      this.near = new RTCPeerConnection({ iceServers: [] });
+      this.far  = new RTCPeerConnection({ iceServers: [] });
+
+      // Trickle candidates straight across — both ends live in this page
+      this.near.onicecandidate = ({ candidate }) => { if (candidate) this.far?.addIceCandidate(candidate).catch(() => {}); };
+      this.far.onicecandidate  = ({ candidate }) => { if (candidate) this.near?.addIceCandidate(candidate).catch(() => {}); };
+
+      this.far.ondatachannel = ({ channel }) => {
+        channel.onmessage = (e) => { if (channel.readyState === 'open') channel.send(e.data); };
+      };
+
+      this.channel = this.near.createDataChannel('probe', { ordered: false, maxRetransmits: 0 });
+      this.channel.onmessage = (e) => this.receive(e.data);
+      const opened = new Promise((resolve, reject) => {
+        this.openTimer = setTimeout(() => reject(new Error('Loopback channel did not open')), OPEN_TIMEOUT);
+        this.channel.onopen = () => { clearTimeout(this.openTimer); resolve(); };
+      });
+
+      const offer = await this.near.createOffer();
+      await this.near.setLocalDescription(offer);
+      await this.far.setRemoteDescription(offer);
+      const answer = await this.far.createAnswer();
+      await this.far.setLocalDescription(answer);
+      await this.near.setRemoteDescription(answer);
+      await opened;
+    } catch (err) {
+      this.stop();
+      throw err;
+    }
+
+    this.timer = setInterval(() => this.send(), this.interval);
+  }
+
+  send() {
+    if (this.channel?.readyState !== 'open') return;
+    const ts = performance.now();
+    const seq = this.tracker.next(ts);
+    this.channel.send(JSON.stringify({ seq, ts }));
+  }
+
+  receive(data) {
+    let pkt;
+    try { pkt = JSON.parse(data); } catch { return; }
+    this.tracker.ack(pkt.seq);
+  }
+
+  async poll() {
+    if (!this.channel) return null;
+    return this.tracker.take();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    clearTimeout(this.openTimer); // setup may fail before the channel opens
+    this.openTimer = null;
+    if (this.channel) { this.channel.close(); this.channel = null; }
+    if (this.near) { this.near.close(); this.near = null; }
+    if (this.far) { this.far.close(); this.far = null; }
+    this.tracker.reset();
+  }
+}
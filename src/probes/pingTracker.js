@@ -0,0 +1,94 @@
+// ─── Ping accounting ──────────────────────────────────────────────────────────
+// Shared by every probe that times its own sequence-numbered pings. Tracks
+// outstanding pings, writes off the ones that time out, counts duplicate and
+// out-of-order replies, and keeps an RFC 3550 §6.4.1 interarrival jitter
+// estimate over successive round trips.
+
+const ACKED_MEMORY = 2048; // replies remembered for duplicate detection
+
+export class PingTracker {
+  constructor({ lossTimeout = 1000 } = {}) {
+    this.lossTimeout = lossTimeout;
+    this.reset();
+  }
+
+  reset() {
+    this.seq = 0;
+    this.pending = new Map(); // seq → send time
+    this.rtts = [];
+    this.lost = 0;
+    this.duplicates = 0;
+    this.reordered = 0;
+    this.acked = new Set();
+    this.highestAcked = -1;
+    this.jitter = 0;
+    this.prevTransit = null;
+    this.lastRtt = 0;
+  }
+
+  // Registers an outgoing ping and returns its sequence number
+  next(now = performance.now()) {
+    const seq = this.seq;
+    this.pending.set(seq, now);
+    this.seq += 1;
+    return seq;
+  }
+
+  // Records a reply. Unknown seqs are duplicates or pings already written off.
+  ack(seq, now = performance.now()) {
+    const sent = this.pending.get(seq);
+    if (sent == null) {
+      if (this.acked.has(seq)) this.duplicates += 1;
+      return null;
+    }
+    this.pending.delete(seq);
+
+    this.acked.add(seq);
+    if (this.acked.size > ACKED_MEMORY) this.acked.delete(this.acked.values().next().value);
+    if (seq < this.highestAcked) this.reordered += 1;
+    else this.highestAcked = seq;
+
+    const rtt = now - sent;
+    this.rtts.push(rtt);
+    // Both ends of the measurement share one clock, so transit is the round trip
+    if (this.prevTransit != null) {
+      this.jitter += (Math.abs(rtt - this.prevTransit) - this.jitter) / 16;
+    }
+    this.prevTransit = rtt;
+    return rtt;
+  }
+
+  // Counts a ping as lost right away (e.g. the request errored)
+  fail(seq) {
+    if (this.pending.delete(seq)) this.lost += 1;
+  }
+
+  // Summarises the pings resolved since the previous call
+  take(now = performance.now()) {
+    for (const [seq, sent] of this.pending) {
+      if (now - sent > this.lossTimeout) {
+        this.pending.delete(seq);
+        this.lost += 1;
+      }
+    }
+
+    const received = this.rtts.length;
+    const total = received + this.lost;
+    if (total === 0) return null;
+
+    if (received > 0) this.lastRtt = this.rtts.reduce((a, b) => a + b, 0) / received;
+    const result = {
+      rtt:        this.lastRtt,
+      jitter:     this.jitter,
+      loss:       (this.lost / total) * 100,
+      duplicates: this.duplicates,
+      reordered:  this.reordered,
+    };
+
+    this.rtts = [];
+    this.lost = 0;
+    this.duplicates = 0;
+    this.reordered = 0;
+    return result;
+  }
+}
@@ -0,0 +1,29 @@
+import { ScenarioModel, DEFAULT_SCENARIO, DEFAULT_SEED } from '../lib/scenarios.js';
+
+// ─── Scenario probe (scripted simulator) ──────────────────────────────────────
+// Plays one of the scripted scenarios in lib/scenarios.js, one second of the
+// script per poll, so the same scenario and seed give the same run every time.
+
+export class ScenarioProbe {
+  constructor({ scenario = DEFAULT_SCENARIO, seed = DEFAULT_SEED } = {}) {
+    this.scenario = scenario;
+    this.seed = seed;
+    this.model = null;
+  }
+
+  get capabilities() {
+    return { rtt: true, jitter: true, loss: true, measured: false, endpoint: false, sequence: false };
+  }
+
+  async start() {
+    this.model = new ScenarioModel(this.scenario, this.seed);
+  }
+
+  async poll({ stress = false } = {}) {
+    return this.model?.next(stress) ?? null;
+  }
+
+  stop() {
+    this.model = null;
+  }
+}
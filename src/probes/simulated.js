@@ -0,0 +1,33 @@
+import { clamp } from '../lib/util.js';
+
+// ─── Simulated metrics (fallback / demo source) ───────────────────────────────
+export function simulateMetrics(prev, stress = false) {
+  const noise  = (s) => (Math.random() - 0.5) * s;
+  const bounce = (v, lo, hi, step) => clamp(v + noise(step), lo, hi);
+
+  const rtt    = bounce((prev?.rtt    ?? 45),  5, stress ? 350 : 180, stress ? 40 : 15);
+  const jitter = bounce((prev?.jitter ?? 8),   0, stress ? 80  : 45,  stress ? 20 : 8);
+  const loss   = bounce((prev?.loss   ?? 0),   0, stress ? 5   : 1.5, stress ? 1  : 0.3);
+  return { rtt, jitter, loss };
+}
+
+export class SimulatedProbe {
+  constructor() {
+    this.prev = null;
+  }
+
+  get capabilities() {
+    return { rtt: true, jitter: true, loss: true, measured: false, endpoint: false, sequence: false };
+  }
+
+  async start() {}
+
+  async poll({ stress = false } = {}) {
+    this.prev = simulateMetrics(this.prev, stress);
+    return this.prev;
+  }
+
+  stop() {
+    this.prev = null;
+  }
+}
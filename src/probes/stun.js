@@ -0,0 +1,73 @@
+import { DEFAULT_ICE_SERVERS, watchGathering, iceReport } from '../lib/ice.js';
+
+// ─── WebRTC STUN probe ────────────────────────────────────────────────────────
+// Reads candidate-pair and RTP stats from a single peer connection gathering
+// against the configured STUN servers. Only yields samples once a pair
+// succeeds. The candidates gathered on the way become `iceReport`, a promise
+// of the same connectivity report the standalone ICE check produces.
+
+export class StunProbe {
+  constructor({ iceServers = DEFAULT_ICE_SERVERS.map((urls) => ({ urls })) } = {}) {
+    this.iceServers = iceServers;
+    this.pc = null;
+    this.prevStats = {};
+    this.iceReport = null;
+  }
+
+  get capabilities() {
+    return { rtt: true, jitter: true, loss: true, measured: true, endpoint: false, sequence: false };
+  }
+
+  async start() {
+    this.pc = new RTCPeerConnection({ iceServers: this.iceServers });
+    // Add a data channel so ICE negotiation actually fires
+    this.pc.createDataChannel('probe');
+    this.iceReport = watchGathering(this.pc).then((gathered) => iceReport(gathered, this.iceServers));
+    const offer = await this.pc.createOffer();
+    await this.pc.setLocalDescription(offer);
+  }
+
+  async poll() {
+    if (!this.pc) return null;
+    try {
+      const stats = await this.pc.getStats();
+      let rtt = 0, jitter = 0, loss = 0;
+      let found = false;
+      let gotJitter = false, gotLoss = false;
+
+      stats.forEach((report) => {
+        if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.currentRoundTripTime != null) {
+          rtt = report.currentRoundTripTime * 1000; // seconds → ms
+          found = true;
+        }
+        if (report.type === 'remote-inbound-rtp') {
+          if (report.jitter != null) { jitter = report.jitter * 1000; gotJitter = true; }
+          if (report.fractionLost != null) { loss = report.fractionLost * 100; gotLoss = true; }
+        }
+        if (report.type === 'inbound-rtp') {
+          const prev = this.prevStats[report.id] || {};
+          const dPkts = (report.packetsReceived || 0) - (prev.packetsReceived || 0);
+          const dLost = (report.packetsLost || 0) - (prev.packetsLost || 0);
+          if (dPkts + dLost > 0) {
+            loss = Math.max(loss, (dLost / (dPkts + dLost)) * 100);
+            gotLoss = true;
+          }
+          this.prevStats[report.id] = report;
+        }
+      });
+
+      if (!found) return null;
+      // Without RTP flowing only RTT is measured; say so rather than pass off the zeros
+      const estimated = [!gotJitter && 'jitter', !gotLoss && 'loss'].filter(Boolean);
+      return estimated.length ? { rtt, jitter, loss, estimated } : { rtt, jitter, loss };
+    } catch {
+      return null;
+    }
+  }
+
+  stop() {
+    if (this.pc) { this.pc.close(); this.pc = null; }
+    this.prevStats = {};
+    this.iceReport = null;
+  }
+}
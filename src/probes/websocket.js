@@ -0,0 +1,68 @@
+import { PingTracker } from './pingTracker.js';
+
+// ─── WebSocket echo probe ─────────────────────────────────────────────────────
+// Sends numbered ping frames at a set rate to an echo endpoint (see
+// `npm run server`) and times the replies. TCP underneath means loss shows up
+// as late replies rather than gaps.
+
+const PING_RATE     = 10;   // pings per second
+const LOSS_TIMEOUT  = 1000; // ms before an unanswered ping counts as lost
+const OPEN_TIMEOUT  = 5000; // ms to wait for the socket to open
+
+export const DEFAULT_WS_ENDPOINT = `ws://${typeof location !== 'undefined' ? location.hostname : 'localhost'}:8787/echo`;
+
+export class WebSocketProbe {
+  constructor({ endpoint = DEFAULT_WS_ENDPOINT, rate = PING_RATE, lossTimeout = LOSS_TIMEOUT } = {}) {
+    this.endpoint = endpoint;
+    this.interval = 1000 / rate;
+    this.tracker = new PingTracker({ lossTimeout });
+    this.ws = null;
+    this.timer = null;
+  }
+
+  get capabilities() {
+    return { rtt: true, jitter: true, loss: true, measured: true, endpoint: true, sequence: true };
+  }
+
+  async start() {
+    this.ws = new WebSocket(this.endpoint);
+    try {
+      await new Promise((resolve, reject) => {
+        const t = setTimeout(() => reject(new Error('WebSocket did not open')), OPEN_TIMEOUT);
+        this.ws.onopen  = () => { clearTimeout(t); resolve(); };
+        this.ws.onerror = () => { clearTimeout(t); reject(new Error(`Cannot reach ${this.endpoint}`)); };
+      });
+    } catch (err) {
+      this.stop();
+      throw err;
+    }
+
+    this.ws.onmessage = (e) => this.receive(e.data);
+    this.timer = setInterval(() => this.send(), this.interval);
+  }
+
+  send() {
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    const ts = performance.now();
+    const seq = this.tracker.next(ts);
+    this.ws.send(JSON.stringify({ type: 'ping', seq, ts }));
+  }
+
+  receive(data) {
+    let pkt;
+    try { pkt = JSON.parse(data); } catch { return; }
+    this.tracker.ack(pkt.seq);
+  }
+
+  async poll() {
+    if (!this.ws) return null;
+    return this.tracker.take();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.ws) { this.ws.close(); this.ws = null; }
+    this.tracker.reset();
+  }
+}
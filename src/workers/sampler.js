@@ -0,0 +1,137 @@
+import { createProbe } from '../probes/index.js';
+import { PollLoop, getHealth, calcScore } from '../lib/core.js';
+import { conditionHolds } from '../lib/alerts.js';
+
+// ─── Sampler worker ───────────────────────────────────────────────────────────
+// Owns the poll clock so hidden-tab timer throttling can't stretch it. The
+// loop itself (grid alignment, gaps, fallback, provenance) is core.js
+// `PollLoop`; this file wires it to the main thread and batches its samples.
+//
+// While the tab is hidden, samples are batched to save main-thread wakeups,
+// but one that meets an alert condition, or whose health differs from the one
+// before, is sent at once with whatever is waiting so alerts aren't late.
+//
+// Protocol (main → worker):
+//   { type: 'start', source, options, interval, onMain, measured, hidden, watch }
+//   { type: 'polled', id, metrics }   reply to a 'poll' for a main-thread probe
+//   { type: 'stress', on }
+//   { type: 'hidden', hidden }
+//   { type: 'watch', watch }           alert conditions, see alerts.js `alertWatch`
+//   { type: 'stop' }
+// (worker → main):
+//   { type: 'ready', ok, capabilities }
+//   { type: 'poll', id, stress }      only for sources that need the main thread
+//   { type: 'batch', samples }
+//   { type: 'stopped' }                after the last batch, in reply to 'stop'
+
+const HIDDEN_BATCH = 10; // samples per UI update while the tab is hidden
+
+let loop       = null;
+let probe      = null;
+let interval   = 1000;
+let stress     = false;
+let batchSize  = 1;
+let batch      = [];
+let pollId     = 0;
+let watch      = null;
+let lastHealth = null;
+let lastHolds  = false;
+const pending  = new Map(); // poll id → resolve
+
+function flush() {
+  if (batch.length === 0) return;
+  self.postMessage({ type: 'batch', samples: batch });
+  batch = [];
+}
+
+// True when the sample could change what the alert engine does
+function urgent(sample) {
+  if (!watch) return false;
+  const { rtt, jitter, loss } = sample;
+  const health = getHealth(rtt, jitter, loss, watch.thresholds);
+  const score = calcScore(rtt, jitter, loss, watch.weights);
+  const holds = watch.conditions.some((c) => conditionHolds(c, { ...sample, health, score }));
+  const changed = holds !== lastHolds || (lastHealth != null && health !== lastHealth);
+  lastHealth = health;
+  lastHolds = holds;
+  return holds || changed;
+}
+
+// Asks the main thread to poll its probe; no answer within one interval counts as no data
+function pollMain(isStress) {
+  return new Promise((resolve) => {
+    const id = ++pollId;
+    const timeout = setTimeout(() => { pending.delete(id); resolve(null); }, interval);
+    pending.set(id, (metrics) => { clearTimeout(timeout); pending.delete(id); resolve(metrics); });
+    self.postMessage({ type: 'poll', id, stress: isStress });
+  });
+}
+
+async function start({ source, options, interval: every, onMain, measured, hidden, watch: w }) {
+  interval = every;
+  watch = w;
+  lastHealth = null;
+  lastHolds = false;
+  batchSize = hidden ? HIDDEN_BATCH : 1;
+  if (onMain) {
+    self.postMessage({ type: 'ready', ok: true, capabilities: null });
+  } else {
+    const p = createProbe(source, options);
+    try {
+      await p.start();
+      probe = p;
+      measured = p.capabilities.measured;
+      self.postMessage({ type: 'ready', ok: true, capabilities: p.capabilities });
+    } catch {
+      p.stop();
+      self.postMessage({ type: 'ready', ok: false, capabilities: null });
+    }
+  }
+
+  loop = new PollLoop({
+    source,
+    interval,
+    measured,
+    poll: (isStress) => (onMain ? pollMain(isStress) : probe ? probe.poll({ stress: isStress }) : null),
+    onSample: (sample) => {
+      batch.push(sample);
+      if (urgent(sample) || batch.length >= batchSize) flush();
+    },
+  });
+  loop.stress = stress;
+  loop.start();
+}
+
+function stop() {
+  loop?.stop();
+  loop = null;
+  pending.forEach((resolve) => resolve(null));
+  flush();
+  if (probe) { probe.stop(); probe = null; }
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'start':
+      start(data);
+      break;
+    case 'polled':
+      pending.get(data.id)?.(data.metrics);
+      break;
+    case 'stress':
+      stress = data.on;
+      if (loop) loop.stress = stress;
+      break;
+    case 'watch':
+      watch = data.watch;
+      break;
+    case 'hidden':
+      batchSize = data.hidden ? HIDDEN_BATCH : 1;
+      if (!data.hidden) flush();
+      break;
+    case 'stop':
+      stop();
+      self.postMessage({ type: 'stopped' });
+      break;
+  }
+};